@@ -1,10 +1,40 @@
 //  - Added data-delay feature to add a delay to trigger events.
 //  - Added data-active-space attribute to control active trigger zones.
 //  - Added support for complex CSS-like selectors in data-child-target.
+//  - Added window.AnimationTriggers runtime API (get, all, setState, next, previous, toggle, reset, trigger).
+//  - Added MutationObserver mode for triggers inserted or removed after load (AnimationTriggers.observe).
+//  - Added destroy() lifecycle and AnimationTriggers.destroyAll() to release listeners and timers.
+//  - Replaced per-instance scroll handlers with a shared requestAnimationFrame scheduler and IntersectionObserver.
+//  - Added data-debounce modes "raf" and "throttle:<ms>".
+//  - Added data-scroll-container and data-scroll-axis for overflow panels and horizontal scrolling.
+//  - Added data-trigger-focus, data-trigger-key and ARIA state syncing (data-aria-sync, data-aria-sync-trigger).
+//  - Switched hover triggers to delegated Pointer Events with data-hover-intent and data-touch-hover.
+//  - Added prefers-reduced-motion support (data-reduced-motion and setAnimationTriggerReducedMotion).
+//  - Added data-persist to keep states across reloads in localStorage or sessionStorage.
+//  - Added data-url-param deep-linking with pushState/replaceState and popstate support.
+//  - Added AnimationTriggers.validate() and a global log level (setAnimationTriggerLogLevel).
+//  - Added a visual debug overlay (?at-debug or AnimationTriggers.debug(true)).
+//  - Added advance-reverse, advance-once, ping-pong and random advancement behaviors.
+//  - Added data-scroll-direction and the data-scroll-dir attribute / --scroll-dir variable.
+//  - Added data-cascade-on and data-cascade-map; with either, triggers nested inside the source are ignored.
+//  - Added data-stagger and data-stagger-order for .animation-trigger-parent children.
+//  - Added data-child-scope="parent" / :scope selectors and AnimationTriggers.refresh(parent).
+//  - Added data-trigger-group with data-group-max / data-group-min for tabs and accordions.
+//  - Added cancellable beforeStateChange, stateEnter / stateLeave events and previousState, cause and source details.
+//  - Added data-lock (transition or cooldown, ignore or queue) and data-delay-policy (queue or latest).
+//  - Time triggers pause in background tabs and offscreen (data-time-pause), support "x3" repeats,
+//    random ranges ("2s-5s") and minutes, and can be paused with pauseTime() / resumeTime().
+//  - Added --scroll-progress-total, --scroll-range-index, --scroll-velocity and --scroll-progress-raw,
+//    with data-scroll-easing and data-scroll-precision for --scroll-progress.
+//  - Added data-scroll-keyframes to scrub CSS properties with range progress (Web Animations API or inline styles),
+//    or across all ranges with data-scroll-keyframes-progress="total".
+//  - Added breakpoint-scoped attributes (data-trigger-points--md) and data-media, re-applied when media queries change.
+//  - Added px, vh, vw, % (of the element), calc() and var() positions in points, ranges and data-active-space,
+//    and offset anchors in data-viewport-align ("top+80px", "0.3").
 
 
 // ---------------------------
-// Global Debounce Settings
+// Global Settings
 // ---------------------------
 
 /**
@@ -12,10 +42,72 @@
 * 
 * @property {boolean} debounceEnabled - Enables or disables debouncing globally.
 * @property {number} debounceWait - Default debounce wait time in milliseconds.
+* @property {string} debounceMode - Default scroll update mode: 'debounce', 'throttle' or 'raf'.
+* @property {boolean} observeMutations - Automatically wires up and tears down triggers added to or removed from the DOM.
+* @property {string} reducedMotion - Default policies applied when the user prefers reduced motion
+*   (comma-separated: 'final', 'pause-time', 'freeze-progress', 'class' or 'none').
+* @property {string} logLevel - Console output: 'silent', 'error', 'warn' or 'debug'.
+* @property {number} scrollVelocityMax - Scroll speed, in viewports per second, at which --scroll-velocity reaches 1.
+* @property {Object<string, string>} breakpoints - Media queries for breakpoint-scoped attributes
+*   (data-trigger-points--md). When several match, the later breakpoint wins.
 */
 const AnimationTriggerSettings = {
   debounceEnabled: true, // Set to `false` to disable debouncing globally
-  debounceWait: 10       // Default debounce wait time in milliseconds
+  debounceWait: 10,      // Default debounce wait time in milliseconds
+  debounceMode: 'debounce', // 'debounce', 'throttle' (at most once per debounceWait) or 'raf' (every frame)
+  observeMutations: false, // Set to `true` for SPAs and lazily rendered content
+  reducedMotion: 'none', // Opt in page-wide, e.g., 'pause-time,freeze-progress,class'
+  logLevel: 'warn', // Set to 'debug' while building a page, 'silent' to hide all messages
+  scrollVelocityMax: 2, // Viewports per second that count as full speed for --scroll-velocity
+  breakpoints: { // Mobile first: unsuffixed attributes apply below the first breakpoint
+    sm: '(min-width: 640px)',
+    md: '(min-width: 768px)',
+    lg: '(min-width: 1024px)',
+    xl: '(min-width: 1280px)'
+  }
+};
+
+/**
+* Console wrapper that respects AnimationTriggerSettings.logLevel.
+* Every message the script prints goes through here.
+*/
+const logger = {
+  levels: { silent: 0, error: 1, warn: 2, debug: 3 },
+  
+  /**
+  * Checks whether messages of a level are printed.
+  * @param {string} level - 'error', 'warn' or 'debug'.
+  * @returns {boolean}
+  */
+  enabled(level) {
+    const current = this.levels[AnimationTriggerSettings.logLevel];
+    return (current === undefined ? this.levels.warn : current) >= this.levels[level];
+  },
+  
+  error(...args) {
+    if (this.enabled('error')) console.error(...args);
+  },
+  
+  warn(...args) {
+    if (this.enabled('warn')) console.warn(...args);
+  },
+  
+  debug(...args) {
+    if (this.enabled('debug')) console.log(...args);
+  }
+};
+
+/**
+* Global method to update the log level.
+* 
+* @param {string} level - 'silent', 'error', 'warn' (default) or 'debug'.
+*/
+window.setAnimationTriggerLogLevel = function(level) {
+  if (!(level in logger.levels)) {
+    logger.warn(`Unknown log level: "${level}". Use silent, error, warn or debug.`);
+    return;
+  }
+  AnimationTriggerSettings.logLevel = level;
 };
 
 /**
@@ -29,7 +121,19 @@ window.setAnimationTriggerDebounce = function(enabled, wait) {
   if (typeof wait === 'number') {
     AnimationTriggerSettings.debounceWait = wait;
   }
-  console.log(`Global debounce enabled: ${enabled}, wait time: ${AnimationTriggerSettings.debounceWait}ms`);
+  logger.debug(`Global debounce enabled: ${enabled}, wait time: ${AnimationTriggerSettings.debounceWait}ms`);
+};
+
+/**
+* Global method to update the reduced motion policies.
+* Elements with their own data-reduced-motion attribute keep their setting.
+* 
+* @param {string} policies - Comma-separated policies, e.g., "final,class" or "none".
+*/
+window.setAnimationTriggerReducedMotion = function(policies) {
+  AnimationTriggerSettings.reducedMotion = policies;
+  ReducedMotion.update();
+  logger.debug(`Global reduced motion policies: ${policies}`);
 };
 
 // ---------------------------
@@ -37,22 +141,84 @@ window.setAnimationTriggerDebounce = function(enabled, wait) {
 // ---------------------------
 
 /**
-* Parses a time string (e.g., "1s", "500ms") into milliseconds.
+* Time trigger types understood by data-trigger-time.
+*/
+const TIME_TRIGGER_TYPES = ['loop', 'loop interval', 'interval', 'delay'];
+
+/**
+* Advancement behaviors understood by data-advancement.
+*/
+const ADVANCEMENT_BEHAVIORS = ['advance', 'advance-reverse', 'advance-once', 'ping-pong', 'random', 'toggle-initial', 'advance-reset', 'aligned'];
+
+/**
+* Parses a time string (e.g., "1s", "500ms", "2m") into milliseconds.
 * @param {string} timeStr - The time string to parse.
+* @param {boolean} [silent=false] - Skip the warning for invalid values (used by validate()).
 * @returns {number|null} - The time in milliseconds or null if invalid.
 */
-function parseTimeValue(timeStr) {
-  const match = timeStr.match(/^(\d+\.?\d*)(ms|s)$/i);
+function parseTimeValue(timeStr, silent = false) {
+  const match = timeStr.match(/^(\d+\.?\d*)(ms|min|m|s)$/i);
   if (!match) {
-    console.warn(`Invalid time format: ${timeStr}`);
+    if (!silent) logger.warn(`Invalid time format: ${timeStr}`);
     return null;
   }
   let value = parseFloat(match[1]);
   const unit = match[2].toLowerCase();
   if (unit === 's') value *= 1000;
+  if (unit === 'm' || unit === 'min') value *= 60000;
   return value;
 }
 
+/**
+* Parses a time value or a random range (e.g., "5s" or "2s-5s") into its bounds.
+* @param {string} timeStr - The time string to parse.
+* @param {boolean} [silent=false] - Skip the warning for invalid values (used by validate()).
+* @returns {{min: number, max: number}|null} - Bounds in milliseconds or null if invalid.
+*/
+function parseTimeRange(timeStr, silent = false) {
+  const parts = timeStr.split('-').map(s => s.trim());
+  if (parts.length > 2) {
+    if (!silent) logger.warn(`Invalid time range: ${timeStr}`);
+    return null;
+  }
+  const bounds = parts.map(part => parseTimeValue(part, silent));
+  if (bounds.includes(null)) return null;
+  return { min: Math.min(...bounds), max: Math.max(...bounds) };
+}
+
+/**
+* Parses a data-trigger-time value into its type, the wait before each trigger and the
+* number of cycles. e.g., "loop:5s x3", "loop:2s-5s", "loop interval:1s,2s", "delay:1m"
+* @param {string} timeValue - The time configuration string.
+* @param {boolean} [silent=false] - Skip warnings for invalid values (used by validate()).
+* @returns {{type: string, waits: Array<{min: number, max: number}>, cycles: number}|null}
+*   - Infinite cycles for loops without a repeat count; null if invalid.
+*/
+function parseTimeTrigger(timeValue, silent = false) {
+  const [typeStr, ...rest] = timeValue.split(':');
+  const type = typeStr.trim().toLowerCase();
+  if (!TIME_TRIGGER_TYPES.includes(type)) {
+    if (!silent) logger.warn(`Unknown time trigger type: "${typeStr.trim()}"`);
+    return null;
+  }
+  
+  // Optional repeat count at the end, e.g., "x3"
+  let timesStr = rest.join(':').trim();
+  let repeat = null;
+  const repeatMatch = timesStr.match(/\s*x(\d+)$/i);
+  if (repeatMatch) {
+    repeat = parseInt(repeatMatch[1], 10);
+    timesStr = timesStr.slice(0, repeatMatch.index);
+  }
+  
+  const waits = timesStr.split(',').map(s => s.trim()).filter(s => s !== '').map(s => parseTimeRange(s, silent));
+  if (waits.length === 0 || waits.includes(null)) return null;
+  
+  const loops = type === 'loop' || type === 'loop interval';
+  const cycles = loops ? (repeat || Infinity) : 1;
+  return { type, waits: type === 'loop' || type === 'delay' ? waits.slice(0, 1) : waits, cycles };
+}
+
 /**
 * Applies a new state to an element by removing existing states and adding the new one.
 * @param {HTMLElement} element - The target DOM element.
@@ -73,27 +239,126 @@ function applyState(element, newState, allStates) {
 * @param {string} eventType - The type of event (e.g., 'click').
 * @param {Array<string>} selectors - Array of CSS selectors for target elements.
 * @param {Function} handler - The event handler function.
+* @returns {Function} - Call to remove the listener again.
 */
 function addDelegatedEventListener(eventType, selectors, handler) {
-  document.addEventListener(eventType, (event) => {
+  const listener = (event) => {
     selectors.forEach(selector => {
-      const targetElement = event.target.closest(selector);
+      const targetElement = event.target.closest && event.target.closest(selector);
       if (targetElement && document.contains(targetElement)) {
-        handler.call(targetElement, event);
+        handler.call(targetElement, event, targetElement);
       }
     });
-  });
+  };
+  document.addEventListener(eventType, listener);
   //console.log(`Added delegated "${eventType}" listener for selectors:`, selectors);
+  return () => document.removeEventListener(eventType, listener);
+}
+
+/**
+* Collects the elements matching a selector from a data attribute within a root, including
+* the root itself. An invalid selector is reported and matches nothing instead of throwing.
+* @param {Document|HTMLElement} root - The subtree to search.
+* @param {string} selector - CSS selector to match.
+* @param {string} attribute - The attribute the selector came from, for the warning.
+* @returns {Array<HTMLElement>} - Matching elements in document order.
+*/
+function querySelectorAllSafe(root, selector, attribute) {
+  try {
+    const matches = Array.from(root.querySelectorAll(selector));
+    if (root.matches && root.matches(selector)) matches.unshift(root);
+    return matches;
+  } catch (error) {
+    logger.warn(`Invalid selector "${selector}" in ${attribute}.`);
+    return [];
+  }
+}
+
+/**
+* Adds an event listener directly to an element.
+* @param {EventTarget} target - The element to listen on.
+* @param {string} eventType - The type of event (e.g., 'mouseenter').
+* @param {Function} handler - The event handler function.
+* @returns {Function} - Call to remove the listener again.
+*/
+function addEventListenerWithCleanup(target, eventType, handler) {
+  target.addEventListener(eventType, handler);
+  return () => target.removeEventListener(eventType, handler);
+}
+
+/**
+* Normalizes a keyboard key name so "Space", " " and "Spacebar" compare equal.
+* @param {string} key - A KeyboardEvent.key value or a key name from data-trigger-key.
+* @returns {string} - The lowercase, normalized key name.
+*/
+function normalizeKeyName(key) {
+  const lowerKey = key.toLowerCase();
+  if (key === ' ' || lowerKey === 'spacebar') return 'space';
+  if (lowerKey === 'esc') return 'escape';
+  return lowerKey;
+}
+
+/**
+* Checks whether the browser already fires a click when the key is pressed on the element,
+* so keyboard triggers do not fire twice on native buttons and links.
+* @param {HTMLElement} element - The focused element.
+* @param {string} key - The normalized key name.
+* @returns {boolean}
+*/
+function isNativeKeyActivation(element, key) {
+  if (key !== 'enter' && key !== 'space') return false;
+  if (element.matches('button, summary, input[type="button"], input[type="submit"], input[type="reset"]')) return true;
+  return key === 'enter' && element.matches('a[href]');
+}
+
+/**
+* Parses a data-cascade-map value into source state → target state pairs.
+* e.g., "open:visible, closed:hidden"
+* @param {string|null} attr - The attribute string.
+* @returns {Map<string, string>} - Target state for each source state.
+*/
+function parseCascadeMap(attr) {
+  const map = new Map();
+  if (!attr) return map;
+  attr.split(',').map(s => s.trim()).filter(Boolean).forEach(pair => {
+    const [source, target] = pair.split(':').map(s => s.trim());
+    if (!source || !target) {
+      logger.warn(`Invalid data-cascade-map entry: "${pair}". Use "sourceState:targetState".`);
+      return;
+    }
+    map.set(source, target);
+  });
+  return map;
+}
+
+/**
+* Parses a data-aria-sync value into ARIA attribute rules.
+* e.g., "expanded" or "expanded:open|visible, hidden:closed"
+* @param {string|null} attr - The attribute string.
+* @returns {Array<{attribute: string, states: Array<string>}>} - Rules; an empty states list
+*   means "true whenever the element is not in its initial state".
+*/
+function parseAriaSync(attr) {
+  if (!attr) return [];
+  return attr.split(',').map(s => s.trim()).filter(s => s !== '').map(rule => {
+    const [name, statesStr] = rule.split(':').map(s => s.trim());
+    const attribute = name.startsWith('aria-') ? name : `aria-${name}`;
+    const states = statesStr ? statesStr.split('|').map(s => s.trim()).filter(s => s !== '') : [];
+    return { attribute, states };
+  });
 }
 
 /**
 * Sets up time-based triggers (loop, loop interval, interval, delay).
 * 
-* - **loop:** Repeats the trigger at a fixed interval indefinitely.
-* - **loop interval:** Repeats the trigger following a sequence of intervals indefinitely.
+* - **loop:** Repeats the trigger at a fixed interval indefinitely (or "x3" times).
+* - **loop interval:** Repeats the trigger following a sequence of intervals indefinitely (or "x3" times).
 * - **interval:** Executes the trigger following a sequence of intervals only once.
 * - **delay:** Executes the trigger once after a specified delay.
 * 
+* Any time can be a random range ("2s-5s"), picked anew for every wait. The pending
+* timer is kept on the element so pauseTimeTriggers() can resume it with the remaining time.
+* 
 * @param {HTMLElement} trigger - The target DOM element.
 * @param {string} timeValue - The time configuration string (e.g., "loop:5s", "loop interval:1s,2s,3s").
 * @param {Function} handleTrigger - The function to execute on trigger.
@@ -102,74 +367,34 @@ function setupTimeTriggers(trigger, timeValue, handleTrigger) {
   // Clear existing timers
   stopTimeTriggers(trigger);
   
-  const [type, ...rest] = timeValue.split(':').map(s => s.trim());
-  switch (type.toLowerCase()) {
-    case 'loop':
-      const loopInterval = parseTimeValue(rest[0]);
-      if (loopInterval) {
-        trigger.timeIntervalID = setInterval(() => handleTrigger(trigger), loopInterval);
-        // console.log(`Set loop interval "${loopInterval}ms" for`, trigger);
-      }
-      break;
-    
-    case 'loop interval':
-      const loopIntervals = rest.flatMap(part => part.split(',').map(s => parseTimeValue(s.trim()))).filter(v => v != null);
-      if (loopIntervals.length > 0) {
-        let loopIndex = 0;
-        
-        function runLoopInterval() {
-          handleTrigger(trigger);
-          loopIndex++;
-          
-          if (loopIndex < loopIntervals.length) {
-            // Schedule the next trigger based on the current interval
-            trigger.timeTimeoutID = setTimeout(runLoopInterval, loopIntervals[loopIndex]);
-          } else {
-            // Reset index and start the loop again
-            loopIndex = 0;
-            trigger.timeTimeoutID = setTimeout(runLoopInterval, loopIntervals[loopIndex]);
-          }
-        }
-        
-        // Delay the first trigger by the first interval duration
-        trigger.timeTimeoutID = setTimeout(runLoopInterval, loopIntervals[loopIndex]);
-        // console.log(`Set loop intervals "${loopIntervals}ms" for`, trigger);
-      }
-      break;
-    
-    case 'interval':
-      const intervals = rest.flatMap(part => part.split(',').map(s => parseTimeValue(s.trim()))).filter(v => v != null);
-      if (intervals.length > 0) {
-        let index = 0;
-        
-        function runInterval() {
-          if (index < intervals.length) {
-            handleTrigger(trigger);
-            index++;
-            if (index < intervals.length) {
-              trigger.timeTimeoutID = setTimeout(runInterval, intervals[index]);
-            }
-          }
-        }
-        
-        // Delay the first trigger by the first interval duration
-        trigger.timeTimeoutID = setTimeout(runInterval, intervals[index]);
-        index++;
-        console.log(`Set intervals "${intervals}ms" for`, trigger);
-      }
-      break;
-    
-    case 'delay':
-      const delay = parseTimeValue(rest[0]);
-      if (delay) {
-        trigger.timeTimeoutID = setTimeout(() => handleTrigger(trigger), delay);
-        console.log(`Set delay "${delay}ms" for`, trigger);
-      }
-      break;
-    
-    default:
-      console.warn(`Unknown time trigger type: "${type}"`);
-  }
+  const config = parseTimeTrigger(timeValue);
+  if (!config) return;
+  
+  const total = config.waits.length * config.cycles;
+  let count = 0;
+  const timer = { timeoutID: null, dueTime: 0, remaining: null, run: null };
+  
+  const scheduleNext = () => {
+    const { min, max } = config.waits[count % config.waits.length];
+    const wait = min + Math.random() * (max - min);
+    timer.dueTime = Date.now() + wait;
+    timer.timeoutID = setTimeout(timer.run, wait);
+  };
+  timer.run = () => {
+    timer.timeoutID = null;
+    count++;
+    // Schedule the next trigger first, so the handler may stop or pause it
+    if (count < total) {
+      scheduleNext();
+    } else if (trigger.timeTimer === timer) {
+      trigger.timeTimer = null;
+    }
+    handleTrigger(trigger);
+  };
+  
+  trigger.timeTimer = timer;
+  scheduleNext();
+  logger.debug(`Set ${config.type} time trigger "${timeValue}" for`, trigger);
 }
 
 /**
@@ -177,18 +402,37 @@ function setupTimeTriggers(trigger, timeValue, handleTrigger) {
 * @param {HTMLElement} trigger - The target DOM element.
 */
 function stopTimeTriggers(trigger) {
-  if (trigger.timeIntervalID) {
-    clearInterval(trigger.timeIntervalID);
-    trigger.timeIntervalID = null;
-    console.log('Cleared loop interval timer for', trigger);
-  }
-  if (trigger.timeTimeoutID) {
-    clearTimeout(trigger.timeTimeoutID);
-    trigger.timeTimeoutID = null;
-    console.log('Cleared timeout timer for', trigger);
+  if (trigger.timeTimer) {
+    clearTimeout(trigger.timeTimer.timeoutID);
+    trigger.timeTimer = null;
+    logger.debug('Cleared time trigger timer for', trigger);
   }
 }
 
+/**
+* Pauses the time trigger of an element, remembering the time left until it fires.
+* @param {HTMLElement} trigger - The target DOM element.
+*/
+function pauseTimeTriggers(trigger) {
+  const timer = trigger.timeTimer;
+  if (!timer || timer.remaining !== null) return;
+  clearTimeout(timer.timeoutID);
+  timer.timeoutID = null;
+  timer.remaining = Math.max(0, timer.dueTime - Date.now());
+}
+
+/**
+* Resumes a paused time trigger with the time that was left.
+* @param {HTMLElement} trigger - The target DOM element.
+*/
+function resumeTimeTriggers(trigger) {
+  const timer = trigger.timeTimer;
+  if (!timer || timer.remaining === null) return;
+  timer.dueTime = Date.now() + timer.remaining;
+  timer.timeoutID = setTimeout(timer.run, timer.remaining);
+  timer.remaining = null;
+}
+
 /**
 * Merges overlapping ranges into single continuous ranges.
 * Contiguous ranges (where current.start === last.end) are NOT merged.
@@ -210,7 +454,7 @@ function mergeRanges(ranges) {
     // Only merge if current.start < last.end (overlapping ranges)
     if (current.start < last.end) {
       last.end = Math.max(last.end, current.end);
-      console.log(`Merged range ${JSON.stringify(current)} into ${JSON.stringify(last)}`);
+      logger.debug(`Merged range ${JSON.stringify(current)} into ${JSON.stringify(last)}`);
     } else {
       // Non-overlapping range, add to merged
       merged.push(current);
@@ -222,104 +466,1267 @@ function mergeRanges(ranges) {
 }
 
 /**
-* Debounces a function, ensuring it's called only after a specified delay.
-* @param {Function} func - The function to debounce.
-* @param {number} wait - The debounce delay in milliseconds.
-* @param {boolean} immediate - If true, trigger on the leading edge.
-* @returns {Function} - The debounced function.
+* Parses a scroll position: a sum of numbers, px, vh, vw and % (of the element's size) terms,
+* calc() groups and var() references, e.g., "0.25", "120px", "20vh+80px" or
+* "calc(100vh - var(--header-height))". Unitless numbers are viewport fractions for points
+* and ranges, and element fractions for data-viewport-align.
+* @param {string} str - The position string.
+* @returns {{terms: Array<{value: number, unit: string, name?: string, fallback?: string|null}>, value: number|null}|null}
+*   - The signed terms, and their sum when every term is unitless (so no measuring is needed),
+*   or null if the string is invalid.
 */
-function debounce(func, wait = 20, immediate = true) {
-  let timeout;
-  return function(...args) {
-    const context = this;
-    const later = function() {
-      timeout = null;
-      if (!immediate) {
-        // Ensure args is defined before applying
-        if (args) {
-          func.apply(context, args);
-        } else {
-          console.warn("Arguments are undefined in 'later' function.");
+function parsePosition(str) {
+  const source = String(str).trim();
+  const terms = [];
+  let i = 0;
+  
+  // Reads terms joined by + and - until the end, or until the closing parenthesis of a group
+  const parseSum = (sign, inGroup) => {
+    let expectTerm = true;
+    let termSign = 1;
+    while (i < source.length) {
+      const char = source[i];
+      if (char === ' ') {
+        i++;
+      } else if (char === ')') {
+        if (!inGroup || expectTerm) return false;
+        i++;
+        return true;
+      } else if (char === '+' || char === '-') {
+        // A binary operator after a term, or a sign before one
+        termSign = expectTerm ? termSign * (char === '-' ? -1 : 1) : (char === '-' ? -1 : 1);
+        expectTerm = true;
+        i++;
+      } else if (!expectTerm) {
+        return false;
+      } else if (source.startsWith('calc(', i) || char === '(') {
+        i += char === '(' ? 1 : 5;
+        if (!parseSum(sign * termSign, true)) return false;
+        expectTerm = false;
+        termSign = 1;
+      } else if (source.startsWith('var(', i)) {
+        let depth = 1;
+        let end = i + 4;
+        while (end < source.length && depth > 0) {
+          if (source[end] === '(') depth++;
+          if (source[end] === ')') depth--;
+          end++;
         }
+        if (depth > 0) return false;
+        const inner = source.slice(i + 4, end - 1);
+        const comma = inner.indexOf(',');
+        const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+        if (!/^--[\w-]+$/.test(name)) return false;
+        terms.push({ value: sign * termSign, unit: 'var', name, fallback: comma === -1 ? null : inner.slice(comma + 1).trim() });
+        i = end;
+        expectTerm = false;
+        termSign = 1;
+      } else {
+        const match = source.slice(i).match(/^(\d*\.?\d+)(px|vh|vw|%)?/i);
+        if (!match) return false;
+        terms.push({ value: sign * termSign * parseFloat(match[1]), unit: (match[2] || '').toLowerCase() });
+        i += match[0].length;
+        expectTerm = false;
+        termSign = 1;
       }
-    };
-    const callNow = immediate && !timeout;
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-    if (callNow) func.apply(context, args);
+    }
+    return !inGroup && !expectTerm;
+  };
+  
+  if (!parseSum(1, false)) return null;
+  const unitless = terms.every(term => term.unit === '');
+  return { terms, value: unitless ? terms.reduce((sum, term) => sum + term.value, 0) : null };
+}
+
+/**
+* Parses one "start-end" range of positions. The first "-" after a complete start position
+* separates the two, so subtracting inside a range needs calc(), e.g., "calc(100vh - 80px)-1".
+* @param {string} str - The range string, e.g., "0.2-0.6" or "120px-50vh".
+* @returns {{start: Object, end: Object}|null} - Parsed positions, or null if invalid.
+*/
+function parseRange(str) {
+  const source = str.trim();
+  let depth = 0;
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '(') depth++;
+    if (source[i] === ')') depth--;
+    if (depth === 0 && i > 0 && source[i] === '-' && /[\d.a-z%)]/i.test(source.slice(0, i).trim().slice(-1))) {
+      const start = parsePosition(source.slice(0, i));
+      const end = parsePosition(source.slice(i + 1));
+      return start && end ? { start, end } : null;
+    }
+  }
+  return null;
+}
+
+/**
+* Resolves a parsed position to pixels.
+* @param {Object} position - Result of parsePosition().
+* @param {Object} context - How to read the units.
+* @param {HTMLElement} context.element - Element whose custom properties var() reads.
+* @param {number} context.unitless - Pixels per unitless 1 (the viewport or element size).
+* @param {number} context.elementSize - The element's size along the scroll axis, for %.
+* @param {number} [depth=0] - var() nesting depth, to stop circular references.
+* @returns {number} - The position in pixels.
+*/
+function resolvePosition(position, context, depth = 0) {
+  return position.terms.reduce((sum, term) => {
+    switch (term.unit) {
+      case 'px': return sum + term.value;
+      case 'vh': return sum + term.value * window.innerHeight / 100;
+      case 'vw': return sum + term.value * window.innerWidth / 100;
+      case '%': return sum + term.value * context.elementSize / 100;
+      case 'var': {
+        const raw = getComputedStyle(context.element).getPropertyValue(term.name).trim() || term.fallback;
+        const referenced = raw && depth < 5 ? parsePosition(raw) : null;
+        if (!referenced) {
+          logger.debug(`Could not resolve ${term.name} as a scroll position for`, context.element);
+          return sum;
+        }
+        return sum + term.value * resolvePosition(referenced, context, depth + 1);
+      }
+      default: return sum + term.value * context.unitless;
+    }
+  }, 0);
+}
+
+/**
+* Keyword easings accepted by data-scroll-easing, as CSS cubic-bezier control points.
+*/
+const SCROLL_EASING_CURVES = {
+  'ease': [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+/**
+* Builds an easing function for a CSS cubic-bezier() curve.
+* @param {number} x1 - First control point x (0 to 1).
+* @param {number} y1 - First control point y.
+* @param {number} x2 - Second control point x (0 to 1).
+* @param {number} y2 - Second control point y.
+* @returns {Function} - Maps a progress value from 0 to 1 onto the curve.
+*/
+function cubicBezier(x1, y1, x2, y2) {
+  const sample = (a, b, t) => (((1 - 3 * b + 3 * a) * t + (3 * b - 6 * a)) * t + 3 * a) * t;
+  const slope = (a, b, t) => (3 * (1 - 3 * b + 3 * a) * t + 2 * (3 * b - 6 * a)) * t + 3 * a;
+  
+  // Find the curve parameter t whose x is the progress: Newton's method, then bisection
+  const solve = x => {
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sample(x1, x2, t) - x;
+      if (Math.abs(error) < 1e-6) return t;
+      const d = slope(x1, x2, t);
+      if (Math.abs(d) < 1e-6) break;
+      t -= error / d;
+    }
+    let low = 0;
+    let high = 1;
+    t = x;
+    while (low < high && high - low > 1e-6) {
+      const value = sample(x1, x2, t);
+      if (Math.abs(value - x) < 1e-6) break;
+      if (value < x) low = t; else high = t;
+      t = (low + high) / 2;
+    }
+    return t;
+  };
+  
+  return progress => {
+    if (progress <= 0) return 0;
+    if (progress >= 1) return 1;
+    return sample(y1, y2, solve(progress));
   };
 }
 
+/**
+* Parses a data-scroll-easing value into an easing function.
+* e.g., "linear", "ease-in-out", "cubic-bezier(0.2, 0, 0, 1)" or "steps(4, jump-start)"
+* @param {string|null} value - The attribute string; null means linear.
+* @returns {Function|null} - Maps progress (0 to 1) to eased progress, or null if the value is invalid.
+*/
+function parseScrollEasing(value) {
+  const easing = (value || 'linear').trim().toLowerCase();
+  if (easing === 'linear') {
+    return progress => progress;
+  }
+  if (SCROLL_EASING_CURVES[easing]) {
+    return cubicBezier(...SCROLL_EASING_CURVES[easing]);
+  }
+  
+  const bezierMatch = easing.match(/^cubic-bezier\(([^)]*)\)$/);
+  if (bezierMatch) {
+    const points = bezierMatch[1].split(',').map(s => s.trim() === '' ? NaN : Number(s));
+    if (points.length !== 4 || points.some(isNaN) || [points[0], points[2]].some(x => x < 0 || x > 1)) {
+      return null;
+    }
+    return cubicBezier(...points);
+  }
+  
+  const stepsMatch = easing.match(/^steps\(\s*(\d+)\s*(?:,\s*([a-z-]+)\s*)?\)$/);
+  if (stepsMatch) {
+    const count = parseInt(stepsMatch[1], 10);
+    const position = stepsMatch[2] || 'end';
+    // Number of jumps between 0 and 1 for each step position
+    const jumps = {
+      'end': count, 'jump-end': count, 'start': count, 'jump-start': count,
+      'jump-none': count - 1, 'jump-both': count + 1
+    }[position];
+    if (jumps === undefined || jumps < 1) return null;
+    const startsJumped = ['start', 'jump-start', 'jump-both'].includes(position);
+    return progress => {
+      const clamped = Math.min(Math.max(progress, 0), 1);
+      const step = Math.floor(clamped * count) + (startsJumped ? 1 : 0);
+      return Math.min(step, jumps) / jumps;
+    };
+  }
+  
+  return null;
+}
+
+/**
+* Splits a string at separators that are not inside parentheses.
+* e.g., "rgb(0, 0, 0) 40px" split at spaces gives ["rgb(0, 0, 0)", "40px"]
+* @param {string} value - The string to split.
+* @param {RegExp} separator - Matches a single separator character.
+* @returns {Array<string>} - The trimmed, non-empty parts.
+*/
+function splitOutsideParens(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+    if (depth === 0 && separator.test(char)) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(s => s.trim()).filter(s => s !== '');
+}
+
+/**
+* Parses a data-scroll-keyframes value. Accepts Web Animations keyframes as JSON
+* (an array of keyframes or an object of value lists), or the compact form
+* "opacity: 0 0.5 1; transform: translateY(40px) 0". In the compact form values are
+* separated by spaces, or by commas when a value contains spaces, and a bare number
+* after a single function reuses that function ("translateY(40px) 0" ends at translateY(0)).
+* 
+* @param {string|null} attr - The attribute string.
+* @returns {{keyframes: Array|Object, tracks: Object<string, Array<{offset: number, value: string}>>}|null}
+*   - Keyframes to pass to element.animate() and per-property stops (keyed by CSS property name)
+*   for the inline style fallback, or null if the value is missing or invalid.
+*/
+function parseScrollKeyframes(attr) {
+  if (!attr || !attr.trim()) return null;
+  const toCamel = name => name.startsWith('--') ? name : name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+  const toKebab = name => name.startsWith('--') ? name : name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  const evenStops = values => values.map((value, i) => ({
+    offset: values.length === 1 ? 1 : i / (values.length - 1),
+    value: String(value)
+  }));
+  const tracks = {};
+  const source = attr.trim();
+  
+  // JSON keyframes, as accepted by element.animate()
+  if (source.startsWith('[') || source.startsWith('{')) {
+    let keyframes;
+    try {
+      keyframes = JSON.parse(source);
+    } catch (error) {
+      return null;
+    }
+    if (Array.isArray(keyframes)) {
+      if (keyframes.length === 0 || keyframes.some(frame => !frame || typeof frame !== 'object')) return null;
+      // Fill in missing offsets the way the Web Animations API does: spread evenly between known ones
+      const offsets = keyframes.map(frame => typeof frame.offset === 'number' ? frame.offset : null);
+      if (offsets[0] === null) offsets[0] = keyframes.length === 1 ? 1 : 0;
+      if (offsets[offsets.length - 1] === null) offsets[offsets.length - 1] = 1;
+      for (let i = 1; i < offsets.length; i++) {
+        if (offsets[i] !== null) continue;
+        const next = offsets.findIndex((offset, j) => j > i && offset !== null);
+        offsets[i] = offsets[i - 1] + (offsets[next] - offsets[i - 1]) / (next - i + 1);
+      }
+      keyframes.forEach((frame, i) => {
+        Object.keys(frame).filter(key => !['offset', 'easing', 'composite'].includes(key)).forEach(key => {
+          const property = toKebab(key);
+          (tracks[property] = tracks[property] || []).push({ offset: offsets[i], value: String(frame[key]) });
+        });
+      });
+    } else {
+      Object.keys(keyframes).filter(key => !['offset', 'easing', 'composite'].includes(key)).forEach(key => {
+        const values = Array.isArray(keyframes[key]) ? keyframes[key] : [keyframes[key]];
+        if (values.length > 0) tracks[toKebab(key)] = evenStops(values);
+      });
+    }
+    return Object.keys(tracks).length > 0 ? { keyframes, tracks } : null;
+  }
+  
+  // Compact form: "property: value value; property: value, value"
+  const keyframes = {};
+  for (const declaration of splitOutsideParens(source, /;/)) {
+    const colon = declaration.indexOf(':');
+    const property = colon > 0 ? declaration.slice(0, colon).trim().toLowerCase() : '';
+    const valueStr = colon > 0 ? declaration.slice(colon + 1) : '';
+    const values = splitOutsideParens(valueStr, /,/).length > 1 ?
+      splitOutsideParens(valueStr, /,/) :
+      splitOutsideParens(valueStr, /\s/);
+    if (!property || values.length === 0) return null;
+    
+    for (let i = 1; i < values.length; i++) {
+      const fn = values[i - 1].match(/^([a-z][\w-]*)\([^()]*\)$/i);
+      if (fn && /^-?(\d+\.?\d*|\.\d+)([a-z%]*)$/i.test(values[i])) {
+        values[i] = `${fn[1]}(${values[i]})`;
+      }
+    }
+    keyframes[toCamel(property)] = values;
+    tracks[property] = evenStops(values);
+  }
+  return { keyframes, tracks };
+}
+
+/**
+* Matches a number with an optional unit that is not part of a name (e.g., not the 3 in translate3d).
+* The character before the number is captured as the first group (instead of a lookbehind,
+* which older Safari versions cannot parse), so replacements must put it back.
+*/
+const STYLE_NUMBER_PATTERN = /(^|[^\w.#])(-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)([a-z%]*)/gi;
+
+/**
+* Interpolates between two CSS values for the inline style fallback of data-scroll-keyframes.
+* Numbers, lengths and hex or rgb() colors are blended when both values have the same shape
+* (a unitless 0 matches any unit); anything else switches halfway.
+* @param {string} from - The start value.
+* @param {string} to - The end value.
+* @param {number} t - Progress between the two, 0 to 1.
+* @returns {string} - The value at t.
+*/
+function interpolateStyleValue(from, to, t) {
+  // Write colors as rgba() so hex, rgb() and rgba() values blend with each other
+  const normalizeColors = value => value
+    .replace(/#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})\b/gi, (match, hex) => {
+      const full = hex.length <= 4 ? hex.split('').map(c => c + c).join('') : hex;
+      const channels = full.match(/../g).map(pair => parseInt(pair, 16));
+      const alpha = channels.length === 4 ? Math.round(channels[3] / 255 * 1000) / 1000 : 1;
+      return `rgba(${channels[0]}, ${channels[1]}, ${channels[2]}, ${alpha})`;
+    })
+    .replace(/rgb\(\s*([^,()]+),\s*([^,()]+),\s*([^,()]+)\)/gi, 'rgba($1, $2, $3, 1)');
+  const a = normalizeColors(from);
+  const b = normalizeColors(to);
+  const numbersA = [...a.matchAll(STYLE_NUMBER_PATTERN)];
+  const numbersB = [...b.matchAll(STYLE_NUMBER_PATTERN)];
+  const discrete = t < 0.5 ? from : to;
+  if (numbersA.length !== numbersB.length ||
+      a.replace(STYLE_NUMBER_PATTERN, '$1#') !== b.replace(STYLE_NUMBER_PATTERN, '$1#')) {
+    return discrete;
+  }
+  
+  const units = numbersA.map((match, i) => {
+    const [, , valueA, unitA] = match;
+    const [, , valueB, unitB] = numbersB[i];
+    if (unitA === unitB) return unitA;
+    if (!unitA && parseFloat(valueA) === 0) return unitB;
+    if (!unitB && parseFloat(valueB) === 0) return unitA;
+    return null;
+  });
+  if (units.includes(null)) return discrete;
+  
+  let i = 0;
+  return a.replace(STYLE_NUMBER_PATTERN, (match, before) => {
+    const start = parseFloat(numbersA[i][2]);
+    const end = parseFloat(numbersB[i][2]);
+    const value = Math.round((start + (end - start) * t) * 10000) / 10000;
+    return `${before}${value}${units[i++]}`;
+  });
+}
+
+/**
+* Samples one property of data-scroll-keyframes at a progress value.
+* @param {Array<{offset: number, value: string}>} stops - The property's stops, in offset order.
+* @param {number} progress - Progress from 0 to 1.
+* @returns {string} - The interpolated value.
+*/
+function sampleKeyframeTrack(stops, progress) {
+  if (progress <= stops[0].offset) return stops[0].value;
+  for (let i = 1; i < stops.length; i++) {
+    if (progress <= stops[i].offset) {
+      const start = stops[i - 1];
+      const end = stops[i];
+      const span = end.offset - start.offset;
+      return interpolateStyleValue(start.value, end.value, span > 0 ? (progress - start.offset) / span : 1);
+    }
+  }
+  return stops[stops.length - 1].value;
+}
+
 // ---------------------------
-// AnimationTrigger Class
+// Reduced Motion
 // ---------------------------
 
 /**
-* Class representing an animation trigger.
+* Tracks the `prefers-reduced-motion` media query and re-applies each instance's
+* reduced motion policies whenever the preference changes.
 */
-class AnimationTrigger {
+const ReducedMotion = {
+  instances: new Set(),
+  query: null,
+  
   /**
-  * Creates an AnimationTrigger instance.
-  * @param {HTMLElement} element - The target DOM element with class 'animation-trigger'.
+  * Checks whether the user currently prefers reduced motion.
+  * @returns {boolean}
   */
-  constructor(element) {
-    this.element = element;
-    this.initialize();
+  matches() {
+    return !!(this.query && this.query.matches);
+  },
+  
+  /**
+  * Adds an instance and applies its policies.
+  * @param {AnimationTrigger} instance - The instance to register.
+  */
+  register(instance) {
+    if (!this.query && typeof window.matchMedia === 'function') {
+      this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+      if (this.query.addEventListener) {
+        this.query.addEventListener('change', () => this.update());
+      } else if (this.query.addListener) {
+        this.query.addListener(() => this.update()); // Safari < 14
+      }
+    }
+    this.instances.add(instance);
+    instance.applyReducedMotion();
+  },
+  
+  /**
+  * Removes an instance.
+  * @param {AnimationTrigger} instance - The instance to unregister.
+  */
+  unregister(instance) {
+    this.instances.delete(instance);
+  },
+  
+  /**
+  * Re-applies the policies of every registered instance.
+  */
+  update() {
+    this.instances.forEach(instance => instance.applyReducedMotion());
   }
+};
+
+// ---------------------------
+// Responsive Configuration
+// ---------------------------
+
+/**
+* Resolves breakpoint-scoped attributes (data-trigger-points--md) and data-media maps, and
+* re-configures instances when one of their media queries starts or stops matching.
+*/
+const ResponsiveConfig = {
+  queries: new Map(), // Media query → { list: MediaQueryList, instances: Set, removeListener }, while in use
   
   /**
-  * Initializes the AnimationTrigger by parsing configurations and setting up listeners.
+  * Parses a data-media value: a JSON object whose keys are breakpoint names or media queries
+  * and whose values are the attributes to use while it matches ("data-" may be left out).
+  * e.g., {"(max-width: 767px)": {"trigger-points": "0.1,0.9", "states": "a,b"}}
+  * @param {string|null} attr - The attribute string.
+  * @returns {Array<{media: string, attributes: Map<string, string>}>|null} - Rules in attribute
+  *   order, or null if the value is invalid.
   */
-  initialize() {
-    // Avoid re-initializing
-    if (this.element._initialized) return;
-    this.element._initialized = true;
-    
-    // Parse configurations
-    this.parseConfigurations();
-    
-    // Setup ranges if applicable
-    if (this.triggerPoints.length > 0 || this.triggerRanges.length > 0) {
-      this.defineRanges();
+  parseMediaMap(attr) {
+    if (!attr || !attr.trim()) return [];
+    let map;
+    try {
+      map = JSON.parse(attr);
+    } catch (error) {
+      return null;
     }
+    if (!map || typeof map !== 'object' || Array.isArray(map)) return null;
     
-    // Setup initial state
-    this.setupInitialState();
-    
-    // Setup event listeners
-    this.setupEventListeners();
-  }
+    const breakpoints = AnimationTriggerSettings.breakpoints || {};
+    const rules = [];
+    for (const [key, values] of Object.entries(map)) {
+      if (!values || typeof values !== 'object' || Array.isArray(values)) return null;
+      const attributes = new Map();
+      Object.entries(values).forEach(([name, value]) => {
+        const attribute = name.trim().toLowerCase();
+        attributes.set(attribute.startsWith('data-') ? attribute : `data-${attribute}`, String(value));
+      });
+      rules.push({ media: breakpoints[key.trim()] || key.trim(), attributes });
+    }
+    return rules;
+  },
   
   /**
-  * Parses all relevant data attributes from the element.
+  * Collects an element's media rules in priority order: breakpoint-scoped attributes in the
+  * order of AnimationTriggerSettings.breakpoints, then data-media entries. Later rules win.
+  * @param {HTMLElement} element - The trigger element.
+  * @returns {Array<{media: string, attributes: Map<string, string>}>}
   */
-  parseConfigurations() {
-    const el = this.element;
+  getRules(element) {
+    const rules = [];
+    const breakpoints = AnimationTriggerSettings.breakpoints || {};
+    Object.keys(breakpoints).forEach(name => {
+      const suffix = `--${name.toLowerCase()}`;
+      const attributes = new Map();
+      Array.from(element.attributes).forEach(attr => {
+        if (attr.name.startsWith('data-') && attr.name.endsWith(suffix)) {
+          attributes.set(attr.name.slice(0, -suffix.length), attr.value);
+        }
+      });
+      if (attributes.size > 0) rules.push({ media: breakpoints[name], attributes });
+    });
+    
+    const mediaRules = this.parseMediaMap(element.getAttribute('data-media'));
+    if (mediaRules === null) {
+      logger.warn('Invalid data-media (expected a JSON object of attribute sets) on', element);
+    } else {
+      rules.push(...mediaRules);
+    }
+    return rules;
+  },
+  
+  /**
+  * Returns the shared MediaQueryList for a query, listening for changes the first time.
+  * The listener is removed again once no instance uses the query (see unregister()).
+  * @param {string} media - The media query.
+  * @returns {{list: MediaQueryList|null, instances: Set, removeListener: Function}}
+  */
+  getQuery(media) {
+    if (!this.queries.has(media)) {
+      const entry = { list: null, instances: new Set(), removeListener: () => {} };
+      if (typeof window.matchMedia === 'function') {
+        const list = window.matchMedia(media);
+        // Copy the set: re-configuring moves instances between queries
+        const onChange = () => Array.from(entry.instances).forEach(instance => instance.applyMediaChange());
+        if (list.addEventListener) {
+          list.addEventListener('change', onChange);
+          entry.removeListener = () => list.removeEventListener('change', onChange);
+        } else if (list.addListener) {
+          list.addListener(onChange); // Safari < 14
+          entry.removeListener = () => list.removeListener(onChange);
+        }
+        entry.list = list;
+      }
+      this.queries.set(media, entry);
+    }
+    return this.queries.get(media);
+  },
+  
+  /**
+  * Checks whether a media query matches, without listening to it.
+  * @param {string} media - The media query.
+  * @returns {boolean}
+  */
+  matches(media) {
+    const entry = this.queries.get(media);
+    const list = entry ? entry.list : (typeof window.matchMedia === 'function' ? window.matchMedia(media) : null);
+    return !!(list && list.matches);
+  },
+  
+  /**
+  * Works out the attribute values that currently override the element's own.
+  * @param {Array<{media: string, attributes: Map<string, string>}>} rules - From getRules().
+  * @returns {Map<string, string>} - Attribute name → value.
+  */
+  resolve(rules) {
+    const overrides = new Map();
+    rules.forEach(rule => {
+      if (this.matches(rule.media)) {
+        rule.attributes.forEach((value, name) => overrides.set(name, value));
+      }
+    });
+    return overrides;
+  },
+  
+  /**
+  * Re-configures an instance whenever one of its media queries changes.
+  * @param {AnimationTrigger} instance - The instance to register.
+  */
+  register(instance) {
+    instance.mediaRules.forEach(rule => this.getQuery(rule.media).instances.add(instance));
+  },
+  
+  /**
+  * Stops re-configuring an instance, and stops listening to queries no instance uses anymore.
+  * @param {AnimationTrigger} instance - The instance to unregister.
+  */
+  unregister(instance) {
+    this.queries.forEach((entry, media) => {
+      if (!entry.instances.delete(instance) || entry.instances.size > 0) return;
+      entry.removeListener();
+      this.queries.delete(media);
+    });
+  }
+};
+
+// ---------------------------
+// Trigger Groups
+// ---------------------------
+
+/**
+* Coordinates the members of each data-trigger-group (tabs, accordions): a member is "open"
+* when it is not in its initial state. Opening a member closes the longest-open others once
+* more than data-group-max are open, and data-group-min keeps the last open members from closing.
+*/
+const TriggerGroups = {
+  groups: new Map(), // Group name → Set of instances
+  openCounter: 0, // Orders members by when they opened
+  
+  /**
+  * Adds an instance to its group.
+  * @param {AnimationTrigger} instance - The instance to register.
+  */
+  register(instance) {
+    if (!this.groups.has(instance.triggerGroup)) {
+      this.groups.set(instance.triggerGroup, new Set());
+    }
+    this.groups.get(instance.triggerGroup).add(instance);
+    instance.groupOpenedAt = this.isOpen(instance) ? ++this.openCounter : 0;
+  },
+  
+  /**
+  * Removes an instance from its group.
+  * @param {AnimationTrigger} instance - The instance to unregister.
+  */
+  unregister(instance) {
+    const members = this.groups.get(instance.triggerGroup);
+    if (!members) return;
+    members.delete(instance);
+    if (members.size === 0) this.groups.delete(instance.triggerGroup);
+  },
+  
+  /**
+  * Checks whether a member is open (not in its initial state).
+  * @param {AnimationTrigger} instance - A group member.
+  * @returns {boolean}
+  */
+  isOpen(instance) {
+    return instance.currentStateIndex !== instance.initialStateIndex;
+  },
+  
+  /**
+  * Returns the open members of an instance's group other than the instance itself.
+  * @param {AnimationTrigger} instance - A group member.
+  * @returns {AnimationTrigger[]}
+  */
+  getOpenOthers(instance) {
+    const members = this.groups.get(instance.triggerGroup);
+    if (!members) return [];
+    return Array.from(members).filter(member => member !== instance && this.isOpen(member));
+  },
+  
+  /**
+  * Checks whether a member may move to a state; closing is refused when it would leave
+  * fewer than data-group-min members open.
+  * @param {AnimationTrigger} instance - A group member.
+  * @param {number} index - Index of the state it would move to.
+  * @returns {boolean}
+  */
+  allows(instance, index) {
+    if (!instance.triggerGroup || instance.groupMin === 0) return true;
+    if (index !== instance.initialStateIndex || !this.isOpen(instance)) return true;
+    return this.getOpenOthers(instance).length >= instance.groupMin;
+  },
+  
+  /**
+  * Called after a member changed state: closes the longest-open other members while
+  * more than data-group-max are open.
+  * @param {AnimationTrigger} instance - The member that changed.
+  */
+  update(instance) {
+    if (!this.isOpen(instance)) {
+      instance.groupOpenedAt = 0;
+      return;
+    }
+    if (instance.groupOpenedAt === 0) instance.groupOpenedAt = ++this.openCounter;
+    
+    const openOthers = this.getOpenOthers(instance).sort((a, b) => a.groupOpenedAt - b.groupOpenedAt);
+    const excess = openOthers.length + 1 - instance.groupMax;
+    openOthers.slice(0, Math.max(0, excess)).forEach(member => {
+      member.withChangeCause('group', instance.element, () => member.resetToInitialState());
+    });
+  }
+};
+
+// ---------------------------
+// URL State
+// ---------------------------
+
+/**
+* Reads and writes trigger states in the URL hash (#plans=annual) or query string
+* (?plans=annual) for data-url-param, and re-applies them on back/forward navigation.
+* Writes made in the same task are combined into a single history entry.
+*/
+const UrlState = {
+  instances: new Set(),
+  pending: new Map(), // "source:param" -> { source, param, value }
+  pendingPush: false,
+  flushQueued: false,
+  listening: false,
+  
+  /**
+  * Reads a parameter from the current URL.
+  * @param {string} source - 'hash' or 'query'.
+  * @param {string} param - Parameter name.
+  * @returns {string|null} - The value, or null if missing.
+  */
+  read(source, param) {
+    const params = new URLSearchParams(source === 'query' ? window.location.search : window.location.hash.slice(1));
+    return params.get(param);
+  },
+  
+  /**
+  * Tells whether the hash is empty or holds key=value pairs, as opposed to a plain
+  * anchor such as #pricing.
+  * @param {string} [hashBody] - The hash without '#'. Defaults to the current one.
+  * @returns {boolean}
+  */
+  hashHoldsParams(hashBody = window.location.hash.slice(1)) {
+    return hashBody === '' || hashBody.split('&').every(pair => pair.includes('='));
+  },
+  
+  /**
+  * Adds an instance and starts listening for navigation.
+  * @param {AnimationTrigger} instance - The instance to register.
+  */
+  register(instance) {
+    this.instances.add(instance);
+    if (this.listening) return;
+    this.listening = true;
+    const onNavigate = () => this.instances.forEach(urlInstance => urlInstance.applyUrlState());
+    window.addEventListener('popstate', onNavigate);
+    window.addEventListener('hashchange', onNavigate);
+  },
+  
+  /**
+  * Removes an instance.
+  * @param {AnimationTrigger} instance - The instance to unregister.
+  */
+  unregister(instance) {
+    this.instances.delete(instance);
+  },
+  
+  /**
+  * Queues a parameter change. The URL is updated once the current task finishes.
+  * @param {string} source - 'hash' or 'query'.
+  * @param {string} param - Parameter name.
+  * @param {string|null} value - New value, or null to remove the parameter.
+  * @param {boolean} push - Add a history entry instead of replacing the current one.
+  */
+  write(source, param, value, push) {
+    if (this.read(source, param) === value && !this.pending.has(`${source}:${param}`)) return;
+    this.pending.set(`${source}:${param}`, { source, param, value });
+    this.pendingPush = this.pendingPush || push;
+    if (!this.flushQueued) {
+      this.flushQueued = true;
+      Promise.resolve().then(() => this.flush());
+    }
+  },
+  
+  /**
+  * Applies all queued parameter changes with a single pushState/replaceState call.
+  * The hash is only rewritten while it is empty or holds key=value pairs, so a plain
+  * anchor such as #pricing is left alone instead of becoming #pricing=.
+  */
+  flush() {
+    this.flushQueued = false;
+    const url = new URL(window.location.href);
+    const hashBody = url.hash.slice(1);
+    const hashHoldsParams = this.hashHoldsParams(hashBody);
+    const hashParams = new URLSearchParams(hashBody);
+    
+    this.pending.forEach(({ source, param, value }) => {
+      if (source === 'hash' && !hashHoldsParams) {
+        logger.debug(`Not writing "${param}" to the URL: the hash is a plain anchor (${url.hash})`);
+        return;
+      }
+      const params = source === 'query' ? url.searchParams : hashParams;
+      if (value === null) {
+        params.delete(param);
+      } else {
+        params.set(param, value);
+      }
+    });
+    if (hashHoldsParams) {
+      const hash = hashParams.toString();
+      url.hash = hash ? `#${hash}` : '';
+    }
+    
+    const method = this.pendingPush ? 'pushState' : 'replaceState';
+    this.pending.clear();
+    this.pendingPush = false;
+    if (url.href !== window.location.href) {
+      window.history[method](window.history.state, '', url.href);
+    }
+  }
+};
+
+// ---------------------------
+// Scroll Scheduler
+// ---------------------------
+
+/**
+* Shared scroll loop for every AnimationTrigger with scroll ranges.
+* 
+* - Scroll events are listened to once per scroll source (the window or a
+*   data-scroll-container element), and resize once on the window, not per instance.
+* - An IntersectionObserver keeps triggers that are far offscreen out of the loop.
+*   Another one, also shared, tells time triggers when their element is in view.
+* - Each animation frame measures every pending trigger first and only then applies
+*   state classes and --scroll-progress, so layout is calculated at most once per frame.
+*/
+const ScrollScheduler = {
+  instances: new Set(), // Registered instances with scroll ranges
+  visible: new Set(),   // Instances whose element is within its observed area
+  pending: new Set(),   // Instances to evaluate in the next frame
+  deferred: new Map(),  // Instance -> timestamp for debounce/throttle modes
+  sources: new Map(),   // Scroll source (window or container) -> { instances, removeListener }
+  observers: new Map(), // Observer root (null for the viewport) -> Map(rootMargin -> IntersectionObserver)
+  moving: new Set(),    // Instances with a non-zero --scroll-velocity, until scrolling stops
+  visibilityObserver: null, // Shared by watchVisibility()
+  visibilityWatchers: new Map(), // Element -> callback(isVisible)
+  frameID: null,
+  deferTimeoutID: null,
+  listeningToResize: false,
+  
+  /**
+  * Adds an instance to the scroll loop and schedules its first evaluation.
+  * @param {AnimationTrigger} instance - The instance to register.
+  */
+  register(instance) {
+    this.instances.add(instance);
+    this.listen(instance);
+    
+    if (typeof IntersectionObserver === 'undefined') {
+      this.visible.add(instance);
+    } else {
+      this.getObserver(instance.scrollContainer, this.getRootMargin(instance)).observe(instance.element);
+    }
+    
+    // Evaluate once right away so the element starts in the right state
+    this.requestUpdate(instance);
+  },
+  
+  /**
+  * Removes an instance from the scroll loop.
+  * @param {AnimationTrigger} instance - The instance to unregister.
+  */
+  unregister(instance) {
+    if (!this.instances.delete(instance)) return;
+    this.visible.delete(instance);
+    this.pending.delete(instance);
+    this.deferred.delete(instance);
+    this.moving.delete(instance);
+    this.observers.forEach(observersByMargin => {
+      observersByMargin.forEach(observer => observer.unobserve(instance.element));
+    });
+    
+    // Detach the scroll listener once a source has no instances left
+    const sourceTarget = instance.scrollContainer || window;
+    const source = this.sources.get(sourceTarget);
+    if (source) {
+      source.instances.delete(instance);
+      if (source.instances.size === 0) {
+        source.removeListener();
+        this.sources.delete(sourceTarget);
+      }
+    }
+  },
+  
+  /**
+  * Attaches the scroll listener (and, for a container, a ResizeObserver) for an
+  * instance's scroll source, and the window resize listener, the first time they are needed.
+  * @param {AnimationTrigger} instance - The instance being registered.
+  */
+  listen(instance) {
+    const sourceTarget = instance.scrollContainer || window;
+    if (!this.sources.has(sourceTarget)) {
+      const source = { instances: new Set() };
+      const onScroll = () => source.instances.forEach(sourceInstance => {
+        if (this.visible.has(sourceInstance)) sourceInstance.handleScroll();
+      });
+      sourceTarget.addEventListener('scroll', onScroll, { passive: true });
+      
+      // A container can change size without the window resizing, so re-measure on its own resize
+      const onResize = () => {
+        source.instances.forEach(sourceInstance => { sourceInstance.resolvedMetrics = null; });
+        onScroll();
+      };
+      const resizeObserver = sourceTarget !== window && typeof ResizeObserver !== 'undefined' ?
+        new ResizeObserver(onResize) :
+        null;
+      if (resizeObserver) resizeObserver.observe(sourceTarget);
+      
+      source.removeListener = () => {
+        sourceTarget.removeEventListener('scroll', onScroll);
+        if (resizeObserver) resizeObserver.disconnect();
+      };
+      this.sources.set(sourceTarget, source);
+    }
+    this.sources.get(sourceTarget).instances.add(instance);
+    
+    if (!this.listeningToResize) {
+      this.listeningToResize = true;
+      window.addEventListener('resize', () => {
+        // Positions with units are resolved again, e.g., for a var() that a media query changed
+        this.instances.forEach(instance => { instance.resolvedMetrics = null; });
+        this.visible.forEach(visibleInstance => visibleInstance.handleScroll());
+      });
+    }
+  },
+  
+  /**
+  * Calculates how far beyond the viewport an element's ranges reach, so the
+  * IntersectionObserver keeps it in the loop while any range can still apply.
+  * @param {AnimationTrigger} instance - The instance to measure.
+  * @returns {string} - A rootMargin string, e.g., "50% 0px 100% 0px".
+  */
+  getRootMargin(instance) {
+    const starts = instance.ranges.map(range => range.start);
+    const ends = instance.ranges.map(range => range.end);
+    // Ranges below 0 lie before the viewport, ranges above 1 lie after it (plus a 10% buffer)
+    const before = Math.ceil(Math.max(0, -Math.min(...starts)) * 100) + 10;
+    const after = Math.ceil(Math.max(0, Math.max(...ends) - 1) * 100) + 10;
+    return instance.scrollAxis === 'x' ?
+      `0px ${after}% 0px ${before}%` :
+      `${before}% 0px ${after}% 0px`;
+  },
+  
+  /**
+  * Returns a shared IntersectionObserver for the given root and root margin.
+  * @param {HTMLElement|null} root - Scroll container, or null for the viewport.
+  * @param {string} rootMargin - The observer's rootMargin.
+  * @returns {IntersectionObserver}
+  */
+  getObserver(root, rootMargin) {
+    if (!this.observers.has(root)) {
+      this.observers.set(root, new Map());
+    }
+    const observersByMargin = this.observers.get(root);
+    
+    if (!observersByMargin.has(rootMargin)) {
+      observersByMargin.set(rootMargin, new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          const instance = entry.target._animationTrigger;
+          if (!instance || !this.instances.has(instance)) return;
+          if (entry.isIntersecting) {
+            this.visible.add(instance);
+          } else {
+            this.visible.delete(instance);
+          }
+          // Evaluate on entering and one last time on leaving, so states settle
+          this.requestUpdate(instance);
+        });
+      }, { root, rootMargin }));
+    }
+    return observersByMargin.get(rootMargin);
+  },
+  
+  /**
+  * Calls back whenever an element enters or leaves the viewport, using one shared
+  * IntersectionObserver for all watched elements.
+  * @param {HTMLElement} element - The element to watch.
+  * @param {Function} callback - Receives true when the element is in view, false when not.
+  * @returns {Function} - Stops watching.
+  */
+  watchVisibility(element, callback) {
+    if (typeof IntersectionObserver === 'undefined') return () => {};
+    if (!this.visibilityObserver) {
+      this.visibilityObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          const watcher = this.visibilityWatchers.get(entry.target);
+          if (watcher) watcher(entry.isIntersecting);
+        });
+      });
+    }
+    this.visibilityWatchers.set(element, callback);
+    this.visibilityObserver.observe(element);
+    return () => {
+      if (this.visibilityWatchers.get(element) !== callback) return;
+      this.visibilityWatchers.delete(element);
+      this.visibilityObserver.unobserve(element);
+    };
+  },
+  
+  /**
+  * Queues an instance for evaluation in the next animation frame.
+  * @param {AnimationTrigger} instance - The instance to evaluate.
+  */
+  requestUpdate(instance) {
+    this.deferred.delete(instance);
+    this.pending.add(instance);
+    if (this.frameID === null) {
+      this.frameID = requestAnimationFrame(() => this.flush());
+    }
+  },
+  
+  /**
+  * Queues an instance for evaluation once a timestamp has passed.
+  * @param {AnimationTrigger} instance - The instance to evaluate.
+  * @param {number} dueTime - Timestamp (Date.now() based) of the evaluation.
+  * @param {boolean} [postpone=false] - Replace an existing due time (debounce) instead of keeping it (throttle).
+  */
+  defer(instance, dueTime, postpone = false) {
+    if (this.pending.has(instance)) return;
+    if (dueTime <= Date.now()) {
+      this.requestUpdate(instance);
+      return;
+    }
+    if (postpone || !this.deferred.has(instance)) {
+      this.deferred.set(instance, dueTime);
+    }
+    this.scheduleDeferred();
+  },
+  
+  /**
+  * Runs a single timer for the earliest deferred evaluation.
+  */
+  scheduleDeferred() {
+    clearTimeout(this.deferTimeoutID);
+    if (this.deferred.size === 0) return;
+    const nextDue = Math.min(...this.deferred.values());
+    this.deferTimeoutID = setTimeout(() => {
+      const now = Date.now();
+      this.deferred.forEach((dueTime, instance) => {
+        if (dueTime <= now) this.requestUpdate(instance);
+      });
+      this.scheduleDeferred();
+    }, Math.max(0, nextDue - Date.now()));
+  },
+  
+  /**
+  * Evaluates all pending instances: reads every position first, then writes.
+  * While any --scroll-velocity is non-zero, frames keep coming so it can settle
+  * back to 0 once scroll updates stop arriving.
+  */
+  flush() {
+    this.frameID = null;
+    const batch = Array.from(this.pending);
+    this.pending.clear();
+    
+    // Read phase
+    const fractions = batch.map(instance => instance.getElementFraction());
+    
+    // Write phase
+    batch.forEach((instance, i) => instance.handleScrollFunction(fractions[i]));
+    
+    const now = Date.now();
+    this.moving.forEach(instance => {
+      if (!instance.settleScrollVelocity(now)) this.moving.delete(instance);
+    });
+    if (this.moving.size > 0 && this.frameID === null) {
+      this.frameID = requestAnimationFrame(() => this.flush());
+    }
+  }
+};
+
+// ---------------------------
+// AnimationTrigger Class
+// ---------------------------
+
+/**
+* Class representing an animation trigger.
+* AnimationTrigger.onDestroy, if set, is called with each instance as it is destroyed.
+*/
+class AnimationTrigger {
+  /**
+  * Creates an AnimationTrigger instance.
+  * @param {HTMLElement} element - The target DOM element with class 'animation-trigger'.
+  */
+  constructor(element) {
+    this.element = element;
+    this.initialize();
+  }
+  
+  /**
+  * Initializes the AnimationTrigger by parsing configurations and setting up listeners.
+  */
+  initialize() {
+    // Avoid re-initializing
+    if (this.element._initialized) return;
+    this.element._initialized = true;
+    
+    // Keep a reference on the element so the public API can look the instance up
+    this.element._animationTrigger = this;
+    
+    // What caused the state change being applied, for events and the URL (see withChangeCause)
+    this.changeCause = null;
+    this.changeSource = null;
+    
+    // Parse configurations
+    this.parseConfigurations();
+    
+    // Setup ranges if applicable
+    if (this.triggerPoints.length > 0 || this.triggerRanges.length > 0) {
+      this.defineRanges();
+    }
+    
+    // Setup initial state
+    this.setupInitialState();
+    
+    // Apply prefers-reduced-motion policies before any timers start
+    this.reducedMotionRestoreIndex = null; // State to return to when 'final' stops applying
+    ReducedMotion.register(this);
+    
+    this.connect();
+  }
+  
+  /**
+  * Sets up the listeners, timers and shared registrations the current configuration needs.
+  * Undone by disconnect().
+  */
+  connect() {
+    // Follow back/forward navigation for data-url-param
+    if (this.urlParam) {
+      UrlState.register(this);
+    }
+    
+    // Join the data-trigger-group so opening this member can close the others
+    if (this.triggerGroup) {
+      TriggerGroups.register(this);
+    }
+    
+    // Re-apply the configuration when a breakpoint-scoped attribute starts or stops applying
+    if (this.mediaRules.length > 0) {
+      ResponsiveConfig.register(this);
+    }
+    
+    // Setup event listeners
+    this.setupEventListeners();
+    
+    // Join the shared scroll loop only if there is something to evaluate on scroll
+    if (this.ranges && this.ranges.length > 0) {
+      ScrollScheduler.register(this);
+    }
+  }
+  
+  /**
+  * Removes every listener, timer and shared registration added by connect(), and
+  * cancels pending delayed triggers and locks.
+  */
+  disconnect() {
+    this.cleanupFunctions.forEach(cleanup => cleanup());
+    this.cleanupFunctions = [];
+    
+    ScrollScheduler.unregister(this);
+    UrlState.unregister(this);
+    TriggerGroups.unregister(this);
+    ResponsiveConfig.unregister(this);
+    stopTimeTriggers(this.element);
+    this.cancelPendingTriggers();
+    this.endLock(false);
+  }
+  
+  /**
+  * Re-parses the configuration after a media query of a breakpoint-scoped attribute or
+  * data-media changed, and re-applies it: ranges, listeners, timers and groups are set up
+  * again. The current state is kept if the new data-states still contains it; otherwise
+  * the element starts over in its initial state.
+  */
+  applyMediaChange() {
+    if (this.destroyed) return;
+    const overrides = ResponsiveConfig.resolve(this.mediaRules);
+    const changed = overrides.size !== this.mediaOverrides.size ||
+      [...overrides].some(([name, value]) => this.mediaOverrides.get(name) !== value);
+    if (!changed) return;
+    
+    const currentState = this.states[this.currentStateIndex];
+    const previousAdvancement = this.advancement;
+    const pingPongDirection = this.pingPongDirection;
+    const apiPaused = this.timePauseReasons.has('api');
+    
+    // Release everything set up for the old configuration
+    this.disconnect();
+    this.allStates.forEach(state => this.element.classList.remove(state));
+    this.clearScrollOutput();
+    this.removeAria();
+    
+    this.parseConfigurations();
+    if (apiPaused) this.timePauseReasons.add('api');
+    this.ranges = [];
+    delete this.element.ranges;
+    if (this.triggerPoints.length > 0 || this.triggerRanges.length > 0) {
+      this.defineRanges();
+    }
+    
+    const index = this.states.indexOf(currentState);
+    if (index === -1) {
+      this.setupInitialState();
+    } else {
+      this.currentStateIndex = index;
+      applyState(this.element, currentState, this.allStates);
+      this.syncAdvanceResetStep(index);
+      if (this.advancement === previousAdvancement) this.pingPongDirection = pingPongDirection;
+      this.syncAria();
+    }
+    
+    // Range-stepping behaviors continue from the range the element is in now
+    if (this.ranges.length > 0 && this.advancement !== 'aligned') {
+      this.lastRangeIndex = this.getRangeIndex(this.getElementFraction());
+    }
+    
+    this.applyReducedMotion();
+    this.connect();
+    logger.debug('Re-applied responsive configuration for', this.element, Object.fromEntries(overrides));
+  }
+  
+  /**
+  * Parses all relevant data attributes from the element.
+  */
+  parseConfigurations() {
+    const el = this.element;
+    
+    // Resolve breakpoint-scoped attributes (data-trigger-points--md) and data-media for the current viewport
+    this.mediaRules = ResponsiveConfig.getRules(el);
+    this.mediaOverrides = ResponsiveConfig.resolve(this.mediaRules);
     
     // Parse Trigger Selectors
-    this.triggerClickSelectors = this.parseSelectorList(el.getAttribute('data-trigger-click'));
-    this.triggerHoverSelectors = this.parseSelectorList(el.getAttribute('data-trigger-hover'));
-    this.triggerCascadeSelectors = this.parseSelectorList(el.getAttribute('data-trigger-cascade'));
+    this.triggerClickSelectors = this.parseSelectorList(this.readAttribute('data-trigger-click'));
+    this.triggerHoverSelectors = this.parseSelectorList(this.readAttribute('data-trigger-hover'));
+    this.triggerCascadeSelectors = this.parseSelectorList(this.readAttribute('data-trigger-cascade'));
+    this.triggerFocusSelectors = this.parseSelectorList(this.readAttribute('data-trigger-focus'));
+    
+    // Parse Cascade Rules
+    this.cascadeOn = this.parseStringList(this.readAttribute('data-cascade-on')); // e.g., "open,expanded"
+    this.cascadeMap = parseCascadeMap(this.readAttribute('data-cascade-map')); // e.g., "open:visible,closed:hidden"
+    
+    // Parse Keyboard Trigger Keys
+    this.triggerKeys = this.parseStringList(this.readAttribute('data-trigger-key')).map(normalizeKeyName); // e.g., "Enter,Space"
     
     // Parse Time Trigger
-    this.triggerTime = el.getAttribute('data-trigger-time'); // e.g., "loop:5s"
+    this.triggerTime = this.readAttribute('data-trigger-time'); // e.g., "loop:5s"
+    
+    // Parse Time Pausing: when time triggers pause and later resume with the time left
+    // "hidden" (background tab), "offscreen" (element outside the viewport), or "none".
+    // Only loops pause offscreen by default: a delay or interval on an element that is
+    // hidden at first (e.g., display: none) would otherwise never fire.
+    const isLoop = /^\s*loop/i.test(this.triggerTime || '');
+    this.timePause = this.parseStringList(this.readAttribute('data-time-pause') || (isLoop ? 'hidden,offscreen' : 'hidden'))
+      .map(s => s.toLowerCase()).filter(s => s !== 'none');
+    this.timePauseReasons = new Set(); // Active reasons: 'hidden', 'offscreen' and/or 'api'
     
     // Parse Scroll Trigger Points and Ranges
-    this.triggerPoints = this.parseNumberList(el.getAttribute('data-trigger-points')); // e.g., "0.25,0.75"
-    this.triggerRanges = this.parseRanges(el.getAttribute('data-trigger-ranges')); // e.g., "0-0.5,0.5-1"
+    this.triggerPoints = this.parsePositionList(this.readAttribute('data-trigger-points')); // e.g., "0.25,0.75" or "120px,50vh"
+    this.triggerRanges = this.parseRanges(this.readAttribute('data-trigger-ranges')); // e.g., "0-0.5,0.5-1" or "120px-80%"
     
     // Parse Advancement Behavior
-    this.advancement = el.getAttribute('data-advancement') ||
+    this.advancement = this.readAttribute('data-advancement') ||
       ((this.triggerPoints.length > 0 || this.triggerRanges.length > 0) ? 'aligned' : 'advance');
     
     // Parse States
-    this.states = this.parseStringList(el.getAttribute('data-states')); // e.g., "state1,state2,state3"
-    this.initialState = el.getAttribute('data-initial-state') || this.states[0];
+    this.states = this.parseStringList(this.readAttribute('data-states')); // e.g., "state1,state2,state3"
+    this.statesSignature = this.states.join(','); // Identifies the states list for data-persist
+    this.initialState = this.readAttribute('data-initial-state') || this.states[0];
     
     // Determine initialStateIndex
     this.initialStateIndex = this.states.indexOf(this.initialState);
     if (this.initialStateIndex === -1) {
-      console.warn(`Initial state "${this.initialState}" not found in states array. Defaulting to the first state.`);
+      logger.warn(`Initial state "${this.initialState}" not found in states array. Defaulting to the first state.`);
       this.initialState = this.states[0];
       this.initialStateIndex = 0;
     }
@@ -328,17 +1735,133 @@ class AnimationTrigger {
     this.lastAdvancedStateIndex = this.initialStateIndex;
     
     // Parse Hover Events
-    this.hoverEvents = this.parseStringList(el.getAttribute('data-hover-event')); // e.g., "enter, hold"
+    this.hoverEvents = this.parseStringList(this.readAttribute('data-hover-event')); // e.g., "enter, hold"
     if (this.hoverEvents.length === 0) {
       this.hoverEvents = ['enter', 'leave'];
       //console.log(`No data-hover-event set. Defaulting to: ${this.hoverEvents.join(',')}`);
     }
     
-    // Parse Viewport Alignment
-    this.viewportAlign = el.getAttribute('data-viewport-align') || 'middle'; // "top", "middle", "bottom"
+    // Parse Hover Intent, e.g., "150ms" or "150ms,10px" (delay, movement threshold)
+    this.hoverIntentDelay = 0;
+    this.hoverIntentThreshold = 0;
+    const hoverIntentAttr = this.readAttribute('data-hover-intent');
+    if (hoverIntentAttr) {
+      let thresholdSet = false;
+      hoverIntentAttr.split(/[\s,]+/).filter(s => s !== '').forEach(part => {
+        if (/px$/i.test(part)) {
+          this.hoverIntentThreshold = parseFloat(part) || 0;
+          thresholdSet = true;
+        } else {
+          this.hoverIntentDelay = parseTimeValue(part) || 0;
+        }
+      });
+      if (!thresholdSet) {
+        this.hoverIntentThreshold = 7; // Default movement sensitivity in pixels
+      }
+    }
+    
+    // Parse Touch Hover Policy
+    this.touchHover = (this.readAttribute('data-touch-hover') || 'tap').trim().toLowerCase(); // "tap", "hold", "ignore"
+    if (!['tap', 'hold', 'ignore'].includes(this.touchHover)) {
+      logger.warn(`Unknown data-touch-hover: "${this.touchHover}". Using "tap".`);
+      this.touchHover = 'tap';
+    }
+    this.touchHoldDelay = 500; // Long-press duration in milliseconds
+    
+    // Parse Focus Events (focusing mirrors hovering unless configured separately)
+    this.focusEvents = this.parseStringList(this.readAttribute('data-focus-event')); // e.g., "enter"
+    if (this.focusEvents.length === 0) {
+      this.focusEvents = this.hoverEvents;
+    }
+    
+    // Parse ARIA Syncing
+    this.ariaSync = parseAriaSync(this.readAttribute('data-aria-sync')); // e.g., "hidden:closed"
+    this.ariaSyncTrigger = parseAriaSync(this.readAttribute('data-aria-sync-trigger')); // e.g., "expanded:open"
+    this.triggerElements = null; // Cached by getTriggerElements()
+    
+    // Parse Viewport Alignment
+    this.viewportAlign = this.readAttribute('data-viewport-align') || 'middle'; // "top", "middle", "bottom" (or "left", "center", "right")
+    this.viewportAnchor = this.parseViewportAnchor(this.viewportAlign); // e.g., "top+80px" or "0.3"
+    
+    // Parse Scroll Axis and Container
+    this.scrollAxis = (this.readAttribute('data-scroll-axis') || 'y').trim().toLowerCase() === 'x' ? 'x' : 'y';
+    const scrollContainerAttr = this.readAttribute('data-scroll-container');
+    this.scrollContainer = null; // null means the window viewport
+    if (scrollContainerAttr) {
+      // Prefer the closest matching ancestor so repeated components each use their own container
+      try {
+        this.scrollContainer = el.closest(scrollContainerAttr) || document.querySelector(scrollContainerAttr);
+        if (!this.scrollContainer) {
+          logger.warn(`No element found for data-scroll-container "${scrollContainerAttr}". Using the viewport instead.`);
+        }
+      } catch (error) {
+        logger.warn(`Invalid data-scroll-container selector "${scrollContainerAttr}". Using the viewport instead.`);
+      }
+    }
+    
+    // Parse Scroll Direction: which scroll direction steps the state when a range boundary is crossed
+    // "down", "up", "both" (default) or "reversible" ("right"/"left" are aliases of "down"/"up")
+    const scrollDirectionAttr = (this.readAttribute('data-scroll-direction') || 'both').trim().toLowerCase();
+    const scrollDirectionAliases = { right: 'down', left: 'up' };
+    this.scrollDirection = scrollDirectionAliases[scrollDirectionAttr] || scrollDirectionAttr;
+    if (!['down', 'up', 'both', 'reversible'].includes(this.scrollDirection)) {
+      logger.warn(`Invalid data-scroll-direction: "${scrollDirectionAttr}". Using "both".`);
+      this.scrollDirection = 'both';
+    }
+    this.lastScrollFraction = null; // Previous getElementFraction() result, to tell the direction
+    this.currentScrollDir = null; // "down" or "up" once the element has moved
+    
+    // Parse Persistence, e.g., "local", "session" or "local:promo-banner"
+    this.persistStorage = null;
+    this.persistKey = null;
+    const persistAttr = this.readAttribute('data-persist');
+    if (persistAttr) {
+      const [storageType, ...keyParts] = persistAttr.split(':').map(s => s.trim());
+      const key = keyParts.join(':') || el.id;
+      if (!['local', 'session'].includes(storageType.toLowerCase())) {
+        logger.warn(`Invalid data-persist: "${persistAttr}". Use "local" or "session".`);
+      } else if (!key) {
+        logger.warn('data-persist needs a key (e.g., "local:my-key") or an id on the element:', el);
+      } else {
+        this.persistStorage = storageType.toLowerCase();
+        this.persistKey = `animation-trigger:${key}`;
+      }
+    }
+    
+    // Parse URL Deep-Linking, e.g., data-url-param="plans" for "#plans=annual"
+    this.urlParam = this.readAttribute('data-url-param');
+    this.urlSource = (this.readAttribute('data-url-source') || 'hash').trim().toLowerCase() === 'query' ? 'query' : 'hash';
+    this.urlHistory = (this.readAttribute('data-url-history') || 'push').trim().toLowerCase() === 'replace' ? 'replace' : 'push';
+    
+    // Parse Trigger Group, e.g., data-trigger-group="faq" data-group-max="1" data-group-min="1"
+    this.triggerGroup = (this.readAttribute('data-trigger-group') || '').trim() || null;
+    this.groupMax = Math.max(1, parseInt(this.readAttribute('data-group-max'), 10) || 1); // Open members allowed at once
+    this.groupMin = Math.max(0, parseInt(this.readAttribute('data-group-min'), 10) || 0); // Open members that must stay open
     
     // Parse Scroll Animate Flag
-    this.scrollAnimate = el.getAttribute('data-scroll-animate') === 'true';
+    this.scrollAnimate = this.readAttribute('data-scroll-animate') === 'true';
+    
+    // Parse Scroll Progress Output, e.g., data-scroll-easing="ease-in-out" data-scroll-precision="3"
+    const easingAttr = this.readAttribute('data-scroll-easing');
+    this.scrollEasing = parseScrollEasing(easingAttr);
+    if (!this.scrollEasing) {
+      logger.warn(`Invalid data-scroll-easing "${easingAttr}" on`, el, '- using linear.');
+      this.scrollEasing = parseScrollEasing('linear');
+    }
+    const precision = parseInt(this.readAttribute('data-scroll-precision'), 10);
+    this.scrollPrecision = isNaN(precision) ? 2 : Math.min(Math.max(precision, 0), 6); // Decimal places
+    this.velocitySample = null; // Last {fraction, time} used for --scroll-velocity
+    
+    // Parse Scroll Keyframes, e.g., data-scroll-keyframes="opacity: 0 1; transform: translateY(40px) 0"
+    const keyframesAttr = this.readAttribute('data-scroll-keyframes');
+    this.scrollKeyframes = parseScrollKeyframes(keyframesAttr);
+    if (keyframesAttr !== null && !this.scrollKeyframes) {
+      logger.warn(`Invalid data-scroll-keyframes "${keyframesAttr}" on`, el);
+    }
+    // "range" (default): keyframes play through each range, like --scroll-progress;
+    // "total": once, from the start of the first range to the end of the last
+    this.scrollKeyframesProgress = (this.readAttribute('data-scroll-keyframes-progress') || 'range').trim().toLowerCase();
+    this.scrollAnimation = null; // Paused Web Animation, or false when falling back to inline styles
     
     // Assign all possible unique state classes
     this.allStates = [...new Set(this.states)];
@@ -346,44 +1869,73 @@ class AnimationTrigger {
     // ---------------------------
     // Parse Debounce Settings
     // ---------------------------
-    const debounceAttr = el.getAttribute('data-debounce');
+    const debounceAttr = this.readAttribute('data-debounce');
     if (debounceAttr) {
-      const [enabledStr, waitStr] = debounceAttr.split(':').map(s => s.trim());
-      this.debounceEnabled = (enabledStr.toLowerCase() !== 'false'); // Default to true if not 'false'
-      this.debounceWait = parseInt(waitStr, 10) || AnimationTriggerSettings.debounceWait;
+      // e.g., "raf", "throttle:16", "debounce:50", "true:200", "200" or "false"
+      const [modeStr, waitStr] = debounceAttr.split(':').map(s => s.trim());
+      const mode = modeStr.toLowerCase();
+      if (mode === 'raf' || mode === 'false') {
+        this.debounceMode = 'raf';
+      } else if (mode === 'throttle') {
+        this.debounceMode = 'throttle';
+      } else {
+        this.debounceMode = 'debounce';
+      }
+      this.debounceWait = parseInt(waitStr, 10) || parseInt(modeStr, 10) || AnimationTriggerSettings.debounceWait;
     } else {
       // Inherit from global settings
-      this.debounceEnabled = AnimationTriggerSettings.debounceEnabled;
+      this.debounceMode = AnimationTriggerSettings.debounceEnabled ? AnimationTriggerSettings.debounceMode : 'raf';
       this.debounceWait = AnimationTriggerSettings.debounceWait;
     }
-    
-    // Setup debounced handleScroll based on debounce settings
-    this.handleScroll = this.debounceEnabled ?
-      debounce(this.handleScrollFunction.bind(this), this.debounceWait, false) :
-      this.handleScrollFunction.bind(this);
+    this.debounceEnabled = this.debounceMode !== 'raf';
     
     // Parse Delay
-    const delayAttr = el.getAttribute('data-delay');
+    const delayAttr = this.readAttribute('data-delay');
     this.triggerDelay = delayAttr ? parseTimeValue(delayAttr) : 0;
+    this.delayTimeouts = new Set(); // Pending data-delay timers, cleared by cancelPendingTriggers()
+    
+    // Parse Delay Policy: "queue" runs every delayed trigger, "latest" only the most recent one
+    this.delayPolicy = (this.readAttribute('data-delay-policy') || 'queue').trim().toLowerCase();
+    if (!['queue', 'latest'].includes(this.delayPolicy)) {
+      logger.warn(`Invalid data-delay-policy: "${this.delayPolicy}". Using "queue".`);
+      this.delayPolicy = 'queue';
+    }
+    
+    // Parse Lock, e.g., "transition", "500ms", "transition:queue" or "500ms:ignore"
+    this.lock = this.parseLock(this.readAttribute('data-lock'));
+    this.locked = false;
+    this.lockQueue = []; // Triggers waiting for the lock to end (policy "queue")
+    this.lockCleanup = null; // Ends the current lock's timer and listeners
     
     // ---------------------------
     // Parse Active Space
     // ---------------------------
-    const activeSpaceAttr = el.getAttribute('data-active-space');
+    const activeSpaceAttr = this.readAttribute('data-active-space');
+    this.activeSpacePositions = null; // Parsed edges when they need measuring (px, vh, %, var())
     if (activeSpaceAttr === 'full') {
       this.activeSpace = null; // Feature disabled
     } else if (activeSpaceAttr) {
-      const parts = activeSpaceAttr.split(',').map(s => parseFloat(s.trim()));
-      if (parts.length === 2 && !isNaN(parts[0]) && !isNaN(parts[1])) {
-        this.activeSpace = [parts[0], parts[1]];
+      const parts = splitOutsideParens(activeSpaceAttr, /,/).map(parsePosition);
+      if (parts.length === 2 && parts.every(part => part !== null)) {
+        this.activeSpacePositions = parts.some(part => part.value === null) ? parts : null;
+        this.activeSpace = parts.map(part => part.value);
       } else {
-        console.warn(`Invalid data-active-space: "${activeSpaceAttr}". Using default [-1, 2].`);
+        logger.warn(`Invalid data-active-space: "${activeSpaceAttr}". Using default [-1, 2].`);
         this.activeSpace = [-1, 2];
       }
     } else {
       this.activeSpace = [-1, 2];
     }
     
+    // Points, ranges and active space edges with units are re-resolved when sizes change
+    this.rangeUnits = this.triggerPoints.some(point => point.value === null) ||
+      this.triggerRanges.some(range => range.start.value === null || range.end.value === null);
+    this.relativeUnits = !!this.activeSpacePositions || this.rangeUnits;
+    this.resolvedMetrics = null; // Sizes the positions with units were last resolved against
+    if (this.activeSpacePositions) {
+      this.resolveActiveSpace(this.getPositionMetrics());
+    }
+    
     // Initialize advancement-reset variables if advancement behavior is 'advance-reset'
     if (this.advancement === 'advance-reset') {
       // Create an array of states excluding the initial state
@@ -391,151 +1943,883 @@ class AnimationTrigger {
       this.advanceResetIndex = 0;
       this.isInitialStep = true;
     }
+    
+    // Direction of travel for 'ping-pong' (1 = forwards, -1 = backwards)
+    this.pingPongDirection = 1;
+  }
+  
+  /**
+   * Defines scroll-based ranges based on data-trigger-ranges or data-trigger-points.
+   * 
+   * Ranges with units (px, vh, %, var()) are not merged: one range is kept per written range
+   * (or per pair of neighbouring points), in order, and resolveRanges() updates their edges
+   * in place whenever the sizes change. A range that ends before it starts at some size is
+   * empty until the sizes change again, so range indexes and aligned states stay the same.
+   */
+  defineRanges() {
+    if (this.rangeUnits) {
+      const count = this.triggerRanges.length > 0 ? this.triggerRanges.length : this.triggerPoints.length - 1;
+      this.ranges = Array.from({ length: Math.max(count, 0) }, () => ({ start: 0, end: 0 }));
+      this.element.ranges = this.ranges;
+      const metrics = this.getPositionMetrics();
+      this.resolveRanges(metrics);
+      this.resolveActiveSpace(metrics);
+      this.resolvedMetrics = metrics;
+      if (this.ranges.length === 0) {
+        logger.warn('No valid ranges could be created from data-trigger-points or data-trigger-ranges.');
+      }
+      this.ranges.forEach((range, i) => {
+        if (range.start >= range.end) {
+          logger.warn(`Range ${i + 1} (${range.start}-${range.end}) is empty at the current size on`, this.element);
+        }
+      });
+      return;
+    }
+    
+    const resolve = position => position.value;
+    let ranges = [];
+
+    // Priority 1: Use data-trigger-ranges if defined
+    if (this.triggerRanges.length > 0) {
+      ranges = this.triggerRanges.map(range => {
+        const start = resolve(range.start);
+        const end = resolve(range.end);
+        if (typeof start !== 'number' || typeof end !== 'number' || start >= end) {
+          logger.warn(`Invalid range object: start=${start}, end=${end}`);
+          return null;
+        }
+        return { start, end };
+      }).filter(range => range !== null);
+    }
+    // Priority 2: Dynamically create ranges from data-trigger-points
+    else if (this.triggerPoints.length > 0) {
+      const sortedPoints = this.triggerPoints.map(resolve).sort((a, b) => a - b);
+
+      for (let i = 0; i < sortedPoints.length - 1; i++) {
+        const start = sortedPoints[i];
+        const end = sortedPoints[i + 1];
+        if (start < end) {
+          ranges.push({ start, end });
+        }
+      }
+    }
+
+    if (ranges.length === 0) {
+      logger.warn('No valid ranges could be created from data-trigger-points or data-trigger-ranges.');
+    }
+
+    // Merge overlapping or contiguous ranges to ensure consistency
+    this.ranges = mergeRanges(ranges);
+
+    // Assign the merged ranges to the element for future reference
+    this.element.ranges = this.ranges;
+    //console.log('Defined ranges:', this.ranges);
+  }
+  
+  /**
+   * Re-resolves the edges of ranges with units for the given sizes, keeping each range
+   * object (and its index) in place. Points are sorted again, as their order can change.
+   * @param {{viewportSize: number, elementSize: number}} metrics - Current sizes.
+   */
+  resolveRanges(metrics) {
+    const resolve = position => this.resolvePositionFraction(position, metrics);
+    if (this.triggerRanges.length > 0) {
+      this.triggerRanges.forEach((range, i) => {
+        const start = resolve(range.start);
+        this.ranges[i].start = start;
+        this.ranges[i].end = Math.max(start, resolve(range.end));
+      });
+    } else {
+      const sortedPoints = this.triggerPoints.map(resolve).sort((a, b) => a - b);
+      this.ranges.forEach((range, i) => {
+        range.start = sortedPoints[i];
+        range.end = sortedPoints[i + 1];
+      });
+    }
+  }
+  
+  /**
+  * Sets up the initial state based on the initialState configuration.
+  */
+  setupInitialState() {
+    applyState(this.element, this.initialState, this.allStates);
+    this.currentStateIndex = this.initialStateIndex;
+    
+    // Initialize advancement-reset variables if applicable
+    if (this.advancement === 'advance-reset') {
+      this.advanceResetStates = this.states.filter(state => state !== this.initialState);
+      this.advanceResetIndex = 0;
+      this.isInitialStep = true;
+    }
+    
+    // Restore a state saved by data-persist, then from the URL (both replace the initial state)
+    this.restoreState();
+    this.restoreUrlState();
+    this.syncAria();
+    
+    // Initialize other flags if necessary
+    // this.element.awaitingReset = false; // This can be removed if not used elsewhere
+  }
+  
+  /**
+   * Applies the state named in the URL by data-url-param during initialization.
+   * @returns {boolean} - True if a state was read from the URL.
+   */
+  restoreUrlState() {
+    if (!this.urlParam) return false;
+    const value = UrlState.read(this.urlSource, this.urlParam);
+    const index = value === null ? -1 : this.states.indexOf(value);
+    if (index === -1) return false;
+    
+    this.currentStateIndex = index;
+    applyState(this.element, this.states[index], this.allStates);
+    this.syncAdvanceResetStep(index);
+    return true;
+  }
+  
+  /**
+   * Re-applies the state named in the URL, e.g., after back/forward navigation.
+   * A missing parameter means the initial state, unless the hash is a plain anchor:
+   * following a link such as #faq must not reset elements that keep their state there.
+   */
+  applyUrlState() {
+    if (this.urlSource === 'hash' && !UrlState.hashHoldsParams()) return;
+    const value = UrlState.read(this.urlSource, this.urlParam);
+    const index = value === null ? this.initialStateIndex : this.states.indexOf(value);
+    if (index === -1 || index === this.currentStateIndex) return;
+    
+    this.withChangeCause('url', null, () => this.setState(index));
+  }
+  
+  /**
+   * Writes the current state to the URL for data-url-param.
+   * Clicks, key presses and API calls add a history entry (unless data-url-history="replace");
+   * hover, focus, time, scroll, cascade and reduced motion changes replace the current entry.
+   * @param {string} cause - What caused the state change.
+   */
+  syncUrl(cause) {
+    if (!this.urlParam || cause === 'url') return;
+    const value = this.currentStateIndex === this.initialStateIndex ? null : this.states[this.currentStateIndex];
+    // Hover and focus fire too often (e.g., moving across a menu) to flood the history with
+    const deliberate = ['click', 'key', 'api'].includes(cause);
+    UrlState.write(this.urlSource, this.urlParam, value, this.urlHistory === 'push' && deliberate);
+  }
+  
+  /**
+   * Returns the Web Storage area selected by data-persist, if available.
+   * @returns {Storage|null}
+   */
+  getPersistStorage() {
+    if (!this.persistStorage) return null;
+    try {
+      return this.persistStorage === 'session' ? window.sessionStorage : window.localStorage;
+    } catch (error) {
+      // Storage can be blocked by privacy settings
+      return null;
+    }
+  }
+  
+  /**
+   * Saves the current state (and advance-reset bookkeeping) for data-persist.
+   */
+  saveState() {
+    // The reduced motion jump follows the visitor's setting, not a choice worth remembering
+    if (this.changeCause === 'reduced-motion') return;
+    const storage = this.getPersistStorage();
+    if (!storage) return;
+    const saved = {
+      states: this.statesSignature,
+      index: this.currentStateIndex
+    };
+    if (this.advancement === 'advance-reset') {
+      saved.advanceResetIndex = this.advanceResetIndex;
+      saved.isInitialStep = this.isInitialStep;
+    }
+    if (this.advancement === 'ping-pong') {
+      saved.pingPongDirection = this.pingPongDirection;
+    }
+    try {
+      storage.setItem(this.persistKey, JSON.stringify(saved));
+    } catch (error) {
+      logger.warn(`Could not save state for data-persist key "${this.persistKey}":`, error);
+    }
+  }
+  
+  /**
+   * Applies the state saved by data-persist, unless data-states has changed since it was saved.
+   * @returns {boolean} - True if a saved state was restored.
+   */
+  restoreState() {
+    const storage = this.getPersistStorage();
+    if (!storage) return false;
+    
+    let saved = null;
+    try {
+      saved = JSON.parse(storage.getItem(this.persistKey));
+    } catch (error) {
+      saved = null;
+    }
+    if (!saved) return false;
+    
+    if (saved.states !== this.statesSignature || !Number.isInteger(saved.index) ||
+        saved.index < 0 || saved.index >= this.states.length) {
+      // The states list changed, so the saved index no longer means the same state
+      storage.removeItem(this.persistKey);
+      return false;
+    }
+    
+    this.currentStateIndex = saved.index;
+    applyState(this.element, this.states[saved.index], this.allStates);
+    if (this.advancement === 'advance-reset' && Number.isInteger(saved.advanceResetIndex) && this.advanceResetStates.length > 0) {
+      this.advanceResetIndex = saved.advanceResetIndex % this.advanceResetStates.length;
+      this.isInitialStep = !!saved.isInitialStep;
+    }
+    if (this.advancement === 'ping-pong' && (saved.pingPongDirection === 1 || saved.pingPongDirection === -1)) {
+      this.pingPongDirection = saved.pingPongDirection;
+    }
+    return true;
+  }
+  
+  /**
+  * Sets up event listeners for triggers (click, hover, focus, keyboard, cascade).
+  */
+  setupEventListeners() {
+    // Functions that remove every listener added below, run by destroy()
+    this.cleanupFunctions = [];
+    
+    // Setup Click Event Delegation
+    if (this.triggerClickSelectors.length > 0) {
+      this.cleanupFunctions.push(
+        addDelegatedEventListener('click', this.triggerClickSelectors, (event, targetElement) => this.handleTrigger('click', targetElement))
+      );
+    }
+    
+    // Setup Hover Event Delegation
+    if (this.triggerHoverSelectors.length > 0) {
+      this.setupHoverTriggers();
+    }
+    
+    // Setup Focus Event Delegation (mirrors hover: focus is 'enter', blur is 'leave')
+    if (this.triggerFocusSelectors.length > 0) {
+      // Ignore focus moving between elements inside the same trigger element
+      const isInternalMove = (event, targetElement) => event.relatedTarget && targetElement.contains(event.relatedTarget);
+      this.cleanupFunctions.push(
+        addDelegatedEventListener('focusin', this.triggerFocusSelectors, (event, targetElement) => {
+          if (!isInternalMove(event, targetElement)) this.handleEnter(this.focusEvents, 'focus', targetElement);
+        }),
+        addDelegatedEventListener('focusout', this.triggerFocusSelectors, (event, targetElement) => {
+          if (!isInternalMove(event, targetElement)) this.handleLeave(this.focusEvents, 'focus', targetElement);
+        })
+      );
+    }
+    
+    // Setup Keyboard Triggers on the click targets (or the element itself)
+    if (this.triggerKeys.length > 0) {
+      this.setupKeyTriggers();
+    }
+    
+    // Setup Time-Based Triggers (excluding 'hold' handled above)
+    this.startTimeTriggers();
+    if (this.triggerTime && this.timePause.length > 0) {
+      this.watchTimeVisibility();
+    }
+    
+    // Setup Cascade Event Delegation
+    if (this.triggerCascadeSelectors.length > 0) {
+      this.cleanupFunctions.push(
+        addDelegatedEventListener('stateChanged', this.triggerCascadeSelectors, (event, source) => this.handleCascade(event, source))
+      );
+    }
+  }
+  
+  /**
+   * Starts the data-trigger-time timers, unless they only run during a hover/focus 'hold'
+   * or are suspended for reduced motion.
+   */
+  startTimeTriggers() {
+    if (this.triggerTime && !this.timeSuspended && !this.hoverEvents.includes('hold') && !this.focusEvents.includes('hold')) {
+      this.scheduleTimeTriggers();
+    }
+  }
+  
+  /**
+   * Starts the data-trigger-time timer, paused right away if a pause reason is active.
+   */
+  scheduleTimeTriggers() {
+    setupTimeTriggers(this.element, this.triggerTime, () => this.handleTrigger('time', this.element));
+    if (this.timePauseReasons.size > 0) {
+      pauseTimeTriggers(this.element);
+    }
+  }
+  
+  /**
+   * Pauses time triggers while the tab is hidden or the element is offscreen (data-time-pause).
+   */
+  watchTimeVisibility() {
+    if (this.timePause.includes('hidden')) {
+      const onVisibilityChange = () => this.setTimePaused('hidden', document.hidden);
+      this.cleanupFunctions.push(addEventListenerWithCleanup(document, 'visibilitychange', onVisibilityChange));
+      onVisibilityChange();
+    }
+    if (this.timePause.includes('offscreen')) {
+      this.cleanupFunctions.push(
+        ScrollScheduler.watchVisibility(this.element, isVisible => this.setTimePaused('offscreen', !isVisible))
+      );
+    }
+  }
+  
+  /**
+   * Adds or removes a reason for pausing time triggers. Timers pause when the first
+   * reason appears and resume with their remaining time when the last one goes away.
+   * @param {string} reason - 'hidden', 'offscreen' or 'api'.
+   * @param {boolean} paused - Whether the reason applies.
+   */
+  setTimePaused(reason, paused) {
+    const wasPaused = this.timePauseReasons.size > 0;
+    if (paused) {
+      this.timePauseReasons.add(reason);
+    } else {
+      this.timePauseReasons.delete(reason);
+    }
+    const isPaused = this.timePauseReasons.size > 0;
+    if (isPaused && !wasPaused) {
+      pauseTimeTriggers(this.element);
+    } else if (!isPaused && wasPaused) {
+      resumeTimeTriggers(this.element);
+    }
+  }
+  
+  /**
+   * Pauses the element's time triggers until resumeTime() is called.
+   */
+  pauseTime() {
+    this.setTimePaused('api', true);
+  }
+  
+  /**
+   * Resumes time triggers paused with pauseTime(), with the time that was left
+   * (they stay paused while the tab is hidden or the element is offscreen).
+   */
+  resumeTime() {
+    this.setTimePaused('api', false);
+  }
+  
+  /**
+   * Applies the element's reduced motion policies (data-reduced-motion, or the global
+   * setting) for the current prefers-reduced-motion preference:
+   * 
+   * - **final:** Jumps to the last state and ignores further triggers, and returns to the
+   *   previous state when the preference is turned off. Scroll-aligned elements keep
+   *   following their ranges, without scroll progress animation.
+   * - **pause-time:** Suspends time triggers.
+   * - **freeze-progress:** Snaps --scroll-progress to 0 or 1.
+   * - **class:** Adds the 'reduced-motion' class.
+   * - **none:** Ignores the preference.
+   */
+  applyReducedMotion() {
+    const policies = this.parseStringList(
+      this.readAttribute('data-reduced-motion') || AnimationTriggerSettings.reducedMotion
+    ).map(policy => policy.toLowerCase());
+    const active = ReducedMotion.matches() && !policies.includes('none');
+    const hasPolicy = policy => active && policies.includes(policy);
+    
+    this.element.classList.toggle('reduced-motion', hasPolicy('class'));
+    const wasFinal = !!this.reducedMotionFinal;
+    this.reducedMotionFinal = hasPolicy('final');
+    this.freezeProgress = hasPolicy('freeze-progress') || (this.reducedMotionFinal && this.advancement === 'aligned');
+    
+    const suspendTime = hasPolicy('pause-time') || this.reducedMotionFinal;
+    if (suspendTime !== !!this.timeSuspended) {
+      this.timeSuspended = suspendTime;
+      if (suspendTime) {
+        stopTimeTriggers(this.element);
+      } else if (this.cleanupFunctions) {
+        // Resume, unless listeners are not set up yet (they start the timers themselves)
+        this.startTimeTriggers();
+      }
+    }
+    
+    if (this.reducedMotionFinal && this.advancement !== 'aligned') {
+      const finalIndex = this.states.length - 1;
+      if (!wasFinal) this.reducedMotionRestoreIndex = this.currentStateIndex;
+      if (this.currentStateIndex !== finalIndex) {
+        this.withChangeCause('reduced-motion', this.element, () => this.goToState(finalIndex));
+      }
+      if (this.scrollAnimate) {
+        this.element.style.setProperty('--scroll-progress', '1');
+        this.element.style.setProperty('--scroll-progress-total', '1');
+        this.element.style.setProperty('--scroll-velocity', '0');
+      }
+      if (this.scrollKeyframes) {
+        this.applyScrollKeyframes(1);
+      }
+    } else if (this.reducedMotionRestoreIndex !== null) {
+      // 'final' no longer applies: go back to where the element was
+      const restoreIndex = this.reducedMotionRestoreIndex;
+      this.reducedMotionRestoreIndex = null;
+      if (this.advancement !== 'aligned' && restoreIndex < this.states.length) {
+        this.withChangeCause('reduced-motion', this.element, () => this.goToState(restoreIndex));
+      }
+    }
+    
+    // Re-evaluate scroll output with the new policies
+    if (ScrollScheduler.instances.has(this)) {
+      ScrollScheduler.requestUpdate(this);
+    }
+  }
+  
+  /**
+   * Reacts to the pointer (or focus) entering a trigger element.
+   * @param {Array<string>} events - The configured events, e.g., ['enter', 'leave'] or ['hold'].
+   * @param {string} [cause='hover'] - What caused it ('hover' or 'focus').
+   * @param {HTMLElement|null} [source=null] - The hovered or focused trigger element.
+   */
+  handleEnter(events, cause = 'hover', source = null) {
+    if (events.includes('hold') && this.triggerTime) {
+      logger.debug('Hover hold start time triggers for', this.element);
+      this.handleTrigger(cause, source); // Advance state immediately
+      if (!this.timeSuspended) {
+        this.scheduleTimeTriggers();
+      }
+    } else if (events.includes('enter')) {
+      this.handleTrigger(cause, source);
+    }
+  }
+  
+  /**
+   * Reacts to the pointer (or focus) leaving a trigger element.
+   * @param {Array<string>} events - The configured events, e.g., ['enter', 'leave'] or ['hold'].
+   * @param {string} [cause='hover'] - What caused it ('hover' or 'focus').
+   * @param {HTMLElement|null} [source=null] - The hovered or focused trigger element.
+   */
+  handleLeave(events, cause = 'hover', source = null) {
+    if (events.includes('hold') && this.triggerTime) {
+      logger.debug('Hover hold stop time triggers for', this.element);
+      stopTimeTriggers(this.element);
+    } else if (events.includes('leave')) {
+      this.handleTrigger(cause, source);
+    }
+  }
+  
+  /**
+   * Sets up delegated hover handling with Pointer Events.
+   * 
+   * - Moving between children of a hover element does not count as leaving it.
+   * - data-hover-intent waits until the pointer rests on the element before entering.
+   * - Touch input follows data-touch-hover: 'tap' toggles enter/leave, 'hold' treats a
+   *   long press as hovering, 'ignore' disables hover on touch.
+   */
+  setupHoverTriggers() {
+    const supportsPointer = typeof PointerEvent !== 'undefined';
+    // Hover element -> { element, entered, intentTimeoutID, x, y }, only while entered or pending
+    const hoverStates = new Map();
+    const getHoverState = targetElement => {
+      if (!hoverStates.has(targetElement)) {
+        hoverStates.set(targetElement, { element: targetElement, entered: false, intentTimeoutID: null, x: 0, y: 0 });
+      }
+      return hoverStates.get(targetElement);
+    };
+    const isTouch = event => event.pointerType === 'touch';
+    const isInternalMove = (event, targetElement) => event.relatedTarget && targetElement.contains(event.relatedTarget);
+    
+    const enter = hoverState => {
+      clearTimeout(hoverState.intentTimeoutID);
+      hoverState.intentTimeoutID = null;
+      if (hoverState.entered) return;
+      hoverState.entered = true;
+      this.handleEnter(this.hoverEvents, 'hover', hoverState.element);
+    };
+    const leave = hoverState => {
+      clearTimeout(hoverState.intentTimeoutID);
+      hoverState.intentTimeoutID = null;
+      hoverStates.delete(hoverState.element); // Idle again, so removed targets are not retained
+      if (!hoverState.entered) return; // Never entered (e.g., intent not reached), so nothing to leave
+      hoverState.entered = false;
+      this.handleLeave(this.hoverEvents, 'hover', hoverState.element);
+    };
+    
+    // Enter once the pointer has moved less than the threshold during one intent delay
+    const checkIntent = (hoverState, x, y) => {
+      hoverState.intentTimeoutID = setTimeout(() => {
+        const distance = Math.hypot(hoverState.x - x, hoverState.y - y);
+        if (this.hoverIntentThreshold > 0 && distance > this.hoverIntentThreshold) {
+          checkIntent(hoverState, hoverState.x, hoverState.y);
+        } else {
+          enter(hoverState);
+        }
+      }, this.hoverIntentDelay);
+    };
+    
+    this.cleanupFunctions.push(
+      addDelegatedEventListener(supportsPointer ? 'pointerover' : 'mouseover', this.triggerHoverSelectors, (event, targetElement) => {
+        if (isTouch(event) || isInternalMove(event, targetElement)) return;
+        const hoverState = getHoverState(targetElement);
+        if (hoverState.entered || hoverState.intentTimeoutID) return;
+        if (this.hoverIntentDelay > 0) {
+          hoverState.x = event.clientX;
+          hoverState.y = event.clientY;
+          checkIntent(hoverState, event.clientX, event.clientY);
+        } else {
+          enter(hoverState);
+        }
+      }),
+      addDelegatedEventListener(supportsPointer ? 'pointerout' : 'mouseout', this.triggerHoverSelectors, (event, targetElement) => {
+        if (isTouch(event) || isInternalMove(event, targetElement)) return;
+        leave(getHoverState(targetElement));
+      }),
+      // Clear pending intent and hold timers on teardown
+      () => {
+        hoverStates.forEach(hoverState => clearTimeout(hoverState.intentTimeoutID));
+        hoverStates.clear();
+      }
+    );
+    
+    if (this.hoverIntentDelay > 0) {
+      this.cleanupFunctions.push(
+        addDelegatedEventListener(supportsPointer ? 'pointermove' : 'mousemove', this.triggerHoverSelectors, (event, targetElement) => {
+          const hoverState = hoverStates.get(targetElement);
+          if (hoverState && hoverState.intentTimeoutID) {
+            hoverState.x = event.clientX;
+            hoverState.y = event.clientY;
+          }
+        })
+      );
+    }
+    
+    if (!supportsPointer) return;
+    
+    switch (this.touchHover) {
+      case 'tap':
+        this.cleanupFunctions.push(
+          addDelegatedEventListener('pointerup', this.triggerHoverSelectors, (event, targetElement) => {
+            if (!isTouch(event)) return;
+            const hoverState = getHoverState(targetElement);
+            if (hoverState.entered) {
+              leave(hoverState);
+            } else {
+              enter(hoverState);
+            }
+          }),
+          // Tapping anywhere else leaves, like moving the mouse away
+          addEventListenerWithCleanup(document, 'pointerdown', event => {
+            if (!isTouch(event)) return;
+            hoverStates.forEach((hoverState, targetElement) => {
+              if (hoverState.entered && !targetElement.contains(event.target)) leave(hoverState);
+            });
+          })
+        );
+        break;
+      
+      case 'hold':
+        this.cleanupFunctions.push(
+          addDelegatedEventListener('pointerdown', this.triggerHoverSelectors, (event, targetElement) => {
+            if (!isTouch(event)) return;
+            const hoverState = getHoverState(targetElement);
+            clearTimeout(hoverState.intentTimeoutID);
+            hoverState.intentTimeoutID = setTimeout(() => enter(hoverState), this.touchHoldDelay);
+          }),
+          ...['pointerup', 'pointercancel'].map(eventType => (
+            addEventListenerWithCleanup(document, eventType, event => {
+              if (!isTouch(event)) return;
+              hoverStates.forEach(hoverState => leave(hoverState));
+            })
+          ))
+        );
+        break;
+      
+      case 'ignore':
+      default:
+        break;
+    }
+  }
+  
+  /**
+   * Fires the trigger when one of the data-trigger-key keys is pressed on a click target
+   * (or on the element itself when there are none), and makes those targets focusable.
+   */
+  setupKeyTriggers() {
+    const onKeyDown = (event, targetElement) => {
+      const key = normalizeKeyName(event.key || '');
+      if (event.repeat || !this.triggerKeys.includes(key)) return;
+      if (isNativeKeyActivation(targetElement, key)) return; // The browser fires a click already
+      if (key === 'space') event.preventDefault(); // Don't scroll the page
+      this.handleTrigger('key', targetElement);
+    };
+    
+    if (this.triggerClickSelectors.length > 0) {
+      this.cleanupFunctions.push(addDelegatedEventListener('keydown', this.triggerClickSelectors, onKeyDown));
+    } else {
+      this.cleanupFunctions.push(addEventListenerWithCleanup(this.element, 'keydown', event => onKeyDown(event, this.element)));
+    }
+    
+    this.focusedKeyTargets = new Map(); // Target -> whether role="button" was added too
+    this.cleanupFunctions.push(() => {
+      this.focusedKeyTargets.forEach((addedRole, target) => {
+        target.removeAttribute('tabindex');
+        if (addedRole) target.removeAttribute('role');
+      });
+      this.focusedKeyTargets = null;
+    });
+    this.makeKeyTargetsFocusable(document);
   }
   
   /**
-   * Defines scroll-based ranges based on data-trigger-ranges or data-trigger-points.
+   * Adds tabindex="0" (and role="button" when there is no role) to the key targets in a
+   * subtree. Divs and spans never receive focus on their own, so keyboard users could not
+   * reach them. Called at setup, and for inserted nodes by AnimationTriggers.observe().
+   * @param {Document|HTMLElement} root - The document, or a node inserted after setup.
    */
-  defineRanges() {
-    let ranges = [];
-
-    // Priority 1: Use data-trigger-ranges if defined
-    if (this.triggerRanges.length > 0) {
-      ranges = this.triggerRanges.map(range => {
-        const { start, end } = range;
-        if (typeof start !== 'number' || typeof end !== 'number' || start >= end) {
-          console.warn(`Invalid range object: start=${start}, end=${end}`);
-          return null;
-        }
-        return { start, end };
-      }).filter(range => range !== null);
+  makeKeyTargetsFocusable(root) {
+    if (!this.focusedKeyTargets) return;
+    let keyTargets = [this.element];
+    if (this.triggerClickSelectors.length > 0) {
+      keyTargets = this.triggerClickSelectors.flatMap(selector => querySelectorAllSafe(root, selector, 'data-trigger-click'));
     }
-    // Priority 2: Dynamically create ranges from data-trigger-points
-    else if (this.triggerPoints.length > 0) {
-      const sortedPoints = [...this.triggerPoints].sort((a, b) => a - b);
-
-      for (let i = 0; i < sortedPoints.length - 1; i++) {
-        const start = sortedPoints[i];
-        const end = sortedPoints[i + 1];
-        if (start < end) {
-          ranges.push({ start, end });
-        }
+    
+    keyTargets.forEach(target => {
+      if (this.focusedKeyTargets.has(target)) return;
+      if (target.matches('a[href], button, input, select, textarea, summary, [tabindex], [contenteditable]')) return;
+      const addedRole = !target.hasAttribute('role');
+      target.setAttribute('tabindex', '0');
+      if (addedRole) target.setAttribute('role', 'button');
+      this.focusedKeyTargets.set(target, addedRole);
+    });
+  }
+  
+  /**
+   * Handles a stateChanged event from a data-trigger-cascade source, applying the
+   * data-cascade-on filter and the data-cascade-map state mapping.
+   * @param {CustomEvent} event - The stateChanged event.
+   * @param {HTMLElement} source - The element that matched data-trigger-cascade.
+   */
+  handleCascade(event, source) {
+    const newState = event.detail && event.detail.newState;
+    // Listed and mapped states are the source's own, so changes of triggers nested inside it don't count
+    if ((this.cascadeOn.length > 0 || this.cascadeMap.size > 0) && event.target !== source) return;
+    if (this.cascadeOn.length > 0 && !this.cascadeOn.includes(newState)) return;
+    
+    if (this.cascadeMap.size > 0) {
+      // Map mode: set the mapped state instead of advancing; unmapped states are ignored
+      if (this.cascadeMap.has(newState)) {
+        this.handleTrigger('cascade', source, this.cascadeMap.get(newState));
       }
+      return;
     }
-
-    if (ranges.length === 0) {
-      console.warn('No valid ranges could be created from data-trigger-points or data-trigger-ranges.');
+    this.handleTrigger('cascade', source);
+  }
+  
+  /**
+   * Handles state transitions based on the advancement behavior.
+   * @param {string} [cause='api'] - What fired the trigger: 'click', 'hover', 'focus',
+   *   'key', 'time', 'cascade' or 'api'.
+   * @param {HTMLElement|null} [source=null] - The element the trigger came from (the clicked,
+   *   hovered or focused element, the cascade source, or the element itself for time triggers).
+   * @param {string|null} [targetState=null] - Go to this state instead of advancing.
+   */
+  handleTrigger(cause = 'api', source = null, targetState = null) {
+    if (this.destroyed) return;
+    if (this.triggerDelay > 0) {
+      // "latest": a new trigger replaces the ones still waiting for their delay
+      if (this.delayPolicy === 'latest') this.cancelPendingTriggers();
+      const delayTimeout = setTimeout(() => {
+        this.delayTimeouts.delete(delayTimeout);
+        this.executeTrigger(cause, source, targetState);
+      }, this.triggerDelay);
+      this.delayTimeouts.add(delayTimeout);
+    } else {
+      this.executeTrigger(cause, source, targetState);
     }
-
-    // Merge overlapping or contiguous ranges to ensure consistency
-    this.ranges = mergeRanges(ranges);
-
-    // Assign the merged ranges to the element for future reference
-    this.element.ranges = this.ranges;
-    //console.log('Defined ranges:', this.ranges);
   }
   
   /**
-  * Sets up the initial state based on the initialState configuration.
-  */
-  setupInitialState() {
-    applyState(this.element, this.initialState, this.allStates);
-    this.currentStateIndex = this.initialStateIndex;
+   * Executes the trigger action based on the advancement behavior.
+   * @param {string} [cause='api'] - What fired the trigger (see handleTrigger).
+   * @param {HTMLElement|null} [source=null] - The element the trigger came from (see handleTrigger).
+   * @param {string|null} [targetState=null] - Go to this state instead of advancing.
+   */
+  executeTrigger(cause = 'api', source = null, targetState = null) {
+    if (this.destroyed) return;
     
-    // Initialize advancement-reset variables if applicable
-    if (this.advancement === 'advance-reset') {
-      this.advanceResetStates = this.states.filter(state => state !== this.initialState);
-      this.advanceResetIndex = 0;
-      this.isInitialStep = true;
+    // data-lock: wait for the running transition or cooldown to finish
+    if (this.locked) {
+      if (this.lock.policy === 'queue') {
+        this.lockQueue.push({ cause, source, targetState });
+      } else {
+        logger.debug('Trigger ignored while data-lock is active on', this.element);
+      }
+      return;
     }
     
-    // Initialize other flags if necessary
-    // this.element.awaitingReset = false; // This can be removed if not used elsewhere
+    this.withChangeCause(cause, source, () => this.runAdvancement(targetState));
   }
   
   /**
-  * Sets up event listeners for triggers (click, hover, cascade).
-  */
-  setupEventListeners() {
-    // Setup Click Event Delegation
-    if (this.triggerClickSelectors.length > 0) {
-      addDelegatedEventListener('click', this.triggerClickSelectors, () => this.handleTrigger());
+   * Runs a state change with changeCause and changeSource set, so the events and URL
+   * update it produces report what caused it. The previous values are restored
+   * afterwards: a trigger fired from a stateChanged listener must not clear the cause
+   * of the change that is still being applied.
+   * @param {string} cause - What caused the change (see handleTrigger), or 'scroll', 'url', 'group' or 'reduced-motion'.
+   * @param {HTMLElement|null} source - The element the change came from.
+   * @param {Function} change - Applies the change.
+   */
+  withChangeCause(cause, source, change) {
+    const previousCause = this.changeCause;
+    const previousSource = this.changeSource;
+    this.changeCause = cause;
+    this.changeSource = source;
+    try {
+      change();
+    } finally {
+      this.changeCause = previousCause;
+      this.changeSource = previousSource;
     }
+  }
+  
+  /**
+   * Cancels triggers that are still waiting for their data-delay or for a data-lock to end.
+   */
+  cancelPendingTriggers() {
+    this.delayTimeouts.forEach(delayTimeout => clearTimeout(delayTimeout));
+    this.delayTimeouts.clear();
+    this.lockQueue = [];
+  }
+  
+  /**
+   * Locks the element after a state change, per data-lock: until its CSS transition or
+   * animation ends (with a timeout fallback), or for a fixed cooldown.
+   */
+  startLock() {
+    if (!this.lock) return;
+    this.endLock(false); // Restart if a lock was already running
     
-    // Setup Hover Event Delegation
-    if (this.triggerHoverSelectors.length > 0) {
-      // 'mouseover' and 'mouseout' are used for event delegation
-      addDelegatedEventListener('mouseover', this.triggerHoverSelectors, (event) => {
-        if (this.hoverEvents.includes('enter')) {
-          this.handleTrigger();
+    let duration = this.lock.duration;
+    let longestRun = 0;
+    if (this.lock.type === 'transition') {
+      // Fallback in case transitionend never fires (interrupted, display: none, ...)
+      const style = window.getComputedStyle(this.element);
+      const parseTimes = value => (value || '0s').split(',').map(time => parseFloat(time) * (time.trim().endsWith('ms') ? 1 : 1000) || 0);
+      const longest = (durations, delays) => {
+        const durationList = parseTimes(durations);
+        const delayList = parseTimes(delays);
+        longestRun = Math.max(longestRun, ...durationList);
+        return Math.max(...durationList.map((time, i) => time + delayList[i % delayList.length]));
+      };
+      duration = Math.max(
+        longest(style.transitionDuration, style.transitionDelay),
+        longest(style.animationDuration, style.animationDelay)
+      );
+      if (duration === 0) return; // Nothing is animating
+      duration += 50;
+    }
+    
+    this.locked = true;
+    const lockTimeout = setTimeout(() => this.endLock(), duration);
+    const removers = [];
+    if (this.lock.type === 'transition') {
+      // Only the element's own transitions and animations count. Each one that starts is
+      // tracked until it finishes or is cancelled, and the lock ends once none are left.
+      const running = new Set();
+      const getName = event => event.propertyName || event.animationName;
+      const onRun = event => {
+        if (event.target === this.element) running.add(getName(event));
+      };
+      const onEnd = event => {
+        if (event.target !== this.element) return;
+        if (running.size > 0) {
+          running.delete(getName(event));
+          if (running.size === 0) this.endLock();
+        } else if (event.elapsedTime * 1000 >= longestRun - 1) {
+          // Start events were not seen (e.g., older browsers): wait for the longest run
+          this.endLock();
         }
+      };
+      ['transitionrun', 'animationstart'].forEach(type => {
+        removers.push(addEventListenerWithCleanup(this.element, type, onRun));
       });
-      addDelegatedEventListener('mouseout', this.triggerHoverSelectors, (event) => {
-        if (this.hoverEvents.includes('leave')) {
-          this.handleTrigger();
-        }
+      ['transitionend', 'transitioncancel', 'animationend', 'animationcancel'].forEach(type => {
+        removers.push(addEventListenerWithCleanup(this.element, type, onEnd));
       });
-      
-      // Handle 'hold' separately since it requires timing
-      if (this.hoverEvents.includes('hold') && this.triggerTime) {
-        this.triggerHoverSelectors.forEach(selector => {
-          const elements = document.querySelectorAll(selector);
-          elements.forEach(el => {
-            el.addEventListener('mouseenter', () => {
-              console.log('Hover hold start time triggers for', this.element);
-              this.handleTrigger(); // Advance state immediately
-              setupTimeTriggers(this.element, this.triggerTime, () => this.handleTrigger());
-            });
-            el.addEventListener('mouseleave', () => {
-              console.log('Hover hold stop time triggers for', this.element);
-              stopTimeTriggers(this.element);
-            });
-          });
-        });
-      }
-    }
-    
-    // Setup Time-Based Triggers (excluding 'hold' handled above)
-    if (this.triggerTime && !this.hoverEvents.includes('hold')) {
-      setupTimeTriggers(this.element, this.triggerTime, () => this.handleTrigger());
-    }
-    
-    // Setup Cascade Event Delegation
-    if (this.triggerCascadeSelectors.length > 0) {
-      addDelegatedEventListener('stateChanged', this.triggerCascadeSelectors, () => this.handleTrigger());
     }
+    this.lockCleanup = () => {
+      clearTimeout(lockTimeout);
+      removers.forEach(remove => remove());
+    };
   }
   
   /**
-   * Handles state transitions based on the advancement behavior.
+   * Ends the current data-lock and runs the next queued trigger, if any.
+   * @param {boolean} [runQueue=true] - Whether to run the next queued trigger.
    */
-  handleTrigger() {
-    if (this.triggerDelay > 0) {
-      setTimeout(() => this.executeTrigger(), this.triggerDelay);
-    } else {
-      this.executeTrigger();
+  endLock(runQueue = true) {
+    if (this.lockCleanup) {
+      this.lockCleanup();
+      this.lockCleanup = null;
+    }
+    this.locked = false;
+    if (runQueue && this.lockQueue.length > 0) {
+      const { cause, source, targetState } = this.lockQueue.shift();
+      this.executeTrigger(cause, source, targetState);
     }
   }
   
   /**
-   * Executes the trigger action based on the advancement behavior.
+   * Runs the advancement behavior for a discrete trigger, unless the element is
+   * outside its active space.
+   * @param {string|null} [targetState=null] - Go to this state instead of advancing.
    */
-  executeTrigger() {
+  runAdvancement(targetState = null) {
+    
+    // Reduced motion 'final': the element stays in its final state
+    if (this.reducedMotionFinal && this.advancement !== 'aligned') return;
+
     // Check if the element is within the active space
     if (this.activeSpace !== null) {
       const fraction = this.getElementFraction();
       const [min, max] = this.activeSpace;
-      if (fraction < min || fraction > max) {
+      if (fraction === null || fraction < min || fraction > max) {
         // Trigger is not active
         return;
       }
     }
 
+    // For 'aligned', state changes are handled via scroll events only.
+    if (this.advancement === 'aligned') return;
+    
+    if (targetState !== null) {
+      if (this.states[this.currentStateIndex] !== targetState) {
+        this.setState(targetState);
+      }
+      return;
+    }
+    this.stepAdvancement();
+  }
+  
+  /**
+   * Takes one step according to the advancement behavior. Used by discrete triggers
+   * and by range changes of scroll triggers (every behavior except 'aligned').
+   */
+  stepAdvancement() {
     switch (this.advancement) {
       case 'advance':
         this.advanceState();
         break;
       
+      case 'advance-reverse':
+        this.retreatState();
+        break;
+      
+      case 'advance-once':
+        this.advanceOnceState();
+        break;
+      
+      case 'ping-pong':
+        this.pingPongState();
+        break;
+      
+      case 'random':
+        this.randomState();
+        break;
+      
       case 'toggle-initial':
         this.toggleState();
         break;
@@ -544,13 +2828,109 @@ class AnimationTrigger {
         this.advanceResetHandleTrigger();
         break;
       
-      case 'aligned':
-        // For 'aligned', state changes are handled via scroll events only.
-        // Do not perform any state change here.
-        break;
-      
       default:
-        console.warn(`Unknown advancement behavior: "${this.advancement}" on`, this.element);
+        logger.warn(`Unknown advancement behavior: "${this.advancement}" on`, this.element);
+    }
+  }
+  
+  /**
+   * Moves the element to the state at the given index and notifies listeners.
+   * All state changes funnel through here.
+   * 
+   * Fires a cancellable 'beforeStateChange' first (listeners may veto it with
+   * preventDefault() or redirect it by setting event.detail.newState), then
+   * 'stateLeave', 'stateEnter' and 'stateChanged' once the state has been applied.
+   * Nothing fires when the element is already in that state.
+   * 
+   * @param {number} index - Index into this.states.
+   * @returns {boolean} - False if the change was vetoed or refused by the data-trigger-group.
+   */
+  goToState(index) {
+    if (index === this.currentStateIndex) {
+      this.saveState(); // advance-reset bookkeeping may still have moved
+      return true;
+    }
+    
+    const beforeEvent = this.dispatchStateEvent('beforeStateChange', this.getStateEventDetail(index), true);
+    if (beforeEvent.defaultPrevented) {
+      logger.debug('State change vetoed by a beforeStateChange listener on', this.element);
+      return false;
+    }
+    if (beforeEvent.detail.newState !== this.states[index]) {
+      // Redirected by a listener
+      index = this.states.indexOf(beforeEvent.detail.newState);
+      if (index === -1) {
+        logger.warn(`beforeStateChange redirected to unknown state "${beforeEvent.detail.newState}" on`, this.element);
+        return false;
+      }
+      if (index === this.currentStateIndex) return true;
+    }
+    
+    if (!TriggerGroups.allows(this, index)) {
+      logger.debug(`State change refused: data-group-min keeps group "${this.triggerGroup}" open on`, this.element);
+      return false;
+    }
+    
+    const detail = this.getStateEventDetail(index);
+    this.currentStateIndex = index;
+    applyState(this.element, this.states[index], this.allStates);
+    this.syncAria();
+    this.saveState();
+    this.syncUrl(this.changeCause || 'api');
+    this.startLock();
+    this.dispatchStateEvent('stateLeave', detail);
+    this.dispatchStateEvent('stateEnter', detail);
+    this.dispatchStateEvent('stateChanged', detail);
+    
+    if (this.triggerGroup) {
+      TriggerGroups.update(this);
+    }
+    return true;
+  }
+  
+  /**
+   * Returns the elements that trigger this element (click, hover, focus selectors).
+   * Looked up once and cached; AnimationTriggers.observe() clears the cache when nodes
+   * are inserted or removed.
+   * @returns {Array<HTMLElement>}
+   */
+  getTriggerElements() {
+    if (!this.triggerElements) {
+      const elements = new Set();
+      [
+        ['data-trigger-click', this.triggerClickSelectors],
+        ['data-trigger-hover', this.triggerHoverSelectors],
+        ['data-trigger-focus', this.triggerFocusSelectors]
+      ].forEach(([attribute, selectors]) => {
+        selectors.forEach(selector => {
+          querySelectorAllSafe(document, selector, attribute).forEach(el => elements.add(el));
+        });
+      });
+      this.triggerElements = Array.from(elements);
+    }
+    return this.triggerElements;
+  }
+  
+  /**
+   * Updates the ARIA attributes configured via data-aria-sync (on the element) and
+   * data-aria-sync-trigger (on its trigger elements) to match the current state.
+   */
+  syncAria() {
+    if (this.ariaSync.length === 0 && this.ariaSyncTrigger.length === 0) return;
+    const currentState = this.states[this.currentStateIndex];
+    const isActive = rule => (rule.states.length > 0 ?
+      rule.states.includes(currentState) :
+      this.currentStateIndex !== this.initialStateIndex);
+    
+    this.ariaSync.forEach(rule => {
+      this.element.setAttribute(rule.attribute, String(isActive(rule)));
+    });
+    if (this.ariaSyncTrigger.length > 0) {
+      const triggerElements = this.getTriggerElements();
+      this.ariaSyncTrigger.forEach(rule => {
+        const value = String(isActive(rule));
+        triggerElements.forEach(el => el.setAttribute(rule.attribute, value));
+      });
     }
   }
   
@@ -558,20 +2938,148 @@ class AnimationTrigger {
    * Advances to the next state.
    */
   advanceState() {
-    this.currentStateIndex = (this.currentStateIndex + 1) % this.states.length;
-    applyState(this.element, this.states[this.currentStateIndex], this.allStates);
-    this.dispatchStateChangedEvent();
+    this.goToState((this.currentStateIndex + 1) % this.states.length);
+  }
+  
+  /**
+   * Steps back to the previous state, wrapping around to the last state.
+   */
+  retreatState() {
+    this.goToState((this.currentStateIndex - 1 + this.states.length) % this.states.length);
+  }
+  
+  /**
+   * Takes one step backwards, undoing stepAdvancement(). Used when a reversible
+   * scroll trigger crosses a range boundary in the opposite direction.
+   */
+  reverseAdvancement() {
+    switch (this.advancement) {
+      case 'advance':
+        this.retreatState();
+        break;
+      
+      case 'advance-reverse':
+        this.advanceState();
+        break;
+      
+      case 'advance-once':
+        // Step back, stopping at the first state
+        if (this.currentStateIndex > 0) this.goToState(this.currentStateIndex - 1);
+        break;
+      
+      case 'ping-pong': {
+        // Travel the other way, then restore the original direction of travel
+        this.pingPongDirection = -this.pingPongDirection;
+        let previousIndex = this.currentStateIndex + this.pingPongDirection;
+        if (previousIndex < 0 || previousIndex >= this.states.length) {
+          this.pingPongDirection = -this.pingPongDirection;
+          previousIndex = this.currentStateIndex + this.pingPongDirection;
+        }
+        this.pingPongDirection = -this.pingPongDirection;
+        if (this.states.length > 1) this.goToState(previousIndex);
+        break;
+      }
+      
+      case 'random':
+        // There is no previous state to return to; pick another random state
+        this.randomState();
+        break;
+      
+      case 'toggle-initial':
+        this.toggleState();
+        break;
+      
+      case 'advance-reset':
+        this.advanceResetReverse();
+        break;
+      
+      default:
+        logger.warn(`Unknown advancement behavior: "${this.advancement}" on`, this.element);
+    }
+  }
+  
+  /**
+   * Advances to the next state, stopping at the last state instead of wrapping.
+   */
+  advanceOnceState() {
+    if (this.currentStateIndex >= this.states.length - 1) return;
+    this.goToState(this.currentStateIndex + 1);
+  }
+  
+  /**
+   * Moves one state in the current ping-pong direction, turning around at either end
+   * (state1 > state2 > state3 > state2 > state1 > state2 ...).
+   */
+  pingPongState() {
+    if (this.states.length < 2) return;
+    const direction = this.pingPongDirection;
+    let nextIndex = this.currentStateIndex + direction;
+    if (nextIndex < 0 || nextIndex >= this.states.length) {
+      this.pingPongDirection = -direction;
+      nextIndex = this.currentStateIndex + this.pingPongDirection;
+    }
+    if (!this.goToState(nextIndex)) {
+      this.pingPongDirection = direction;
+    }
+  }
+  
+  /**
+   * Moves to a random state other than the current one.
+   */
+  randomState() {
+    if (this.states.length < 2) return;
+    // Pick from the other states only, so the same state never repeats
+    const offset = 1 + Math.floor(Math.random() * (this.states.length - 1));
+    this.goToState((this.currentStateIndex + offset) % this.states.length);
   }
   
   /**
    * Toggles between the initial state and the next state.
    */
   toggleState() {
-    this.currentStateIndex = (this.currentStateIndex === this.initialStateIndex) ? 
+    this.goToState((this.currentStateIndex === this.initialStateIndex) ? 
       (this.currentStateIndex + 1) % this.states.length : 
-      this.initialStateIndex;
-    applyState(this.element, this.states[this.currentStateIndex], this.allStates);
-    this.dispatchStateChangedEvent();
+      this.initialStateIndex);
+  }
+  
+  /**
+   * Jumps directly to a specific state, keeping the advance-reset bookkeeping consistent.
+   * @param {string|number} state - State class name or index into this.states.
+   * @returns {boolean} - False if the state is not part of this trigger's states, or its
+   *   data-trigger-group refused the change.
+   */
+  setState(state) {
+    const index = typeof state === 'number' ? state : this.states.indexOf(state);
+    if (index < 0 || index >= this.states.length || !Number.isInteger(index)) {
+      logger.warn(`State "${state}" not found in states array of`, this.element);
+      return false;
+    }
+    
+    const { advanceResetIndex, isInitialStep } = this;
+    this.syncAdvanceResetStep(index);
+    if (!this.goToState(index)) {
+      // Vetoed or refused, so the bookkeeping stays where it was
+      this.advanceResetIndex = advanceResetIndex;
+      this.isInitialStep = isInitialStep;
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Keeps the advance-reset bookkeeping consistent when jumping to a state directly.
+   * @param {number} index - Index of the state being jumped to.
+   */
+  syncAdvanceResetStep(index) {
+    if (this.advancement !== 'advance-reset') return;
+    if (index === this.initialStateIndex) {
+      this.isInitialStep = true;
+    } else {
+      const resetIndex = this.advanceResetStates.indexOf(this.states[index]);
+      // With no state besides the initial one there is nothing to step through
+      this.advanceResetIndex = this.advanceResetStates.length > 0 ? (resetIndex + 1) % this.advanceResetStates.length : 0;
+      this.isInitialStep = false;
+    }
   }
   
   /**
@@ -579,86 +3087,255 @@ class AnimationTrigger {
    * Ensures the advancement skips the initial state after a reset.
    */
   advanceResetHandleTrigger() {
+    if (this.advanceResetStates.length === 0) {
+      // Only the initial state is defined, so there is nothing to advance to
+      if (this.currentStateIndex !== this.initialStateIndex) this.resetToInitialState();
+      return;
+    }
     if (this.isInitialStep) {
       // Set to the next state in the array
       const nextState = this.advanceResetStates[this.advanceResetIndex];
-      this.currentStateIndex = this.states.indexOf(nextState);
-      applyState(this.element, nextState, this.allStates);
-      this.dispatchStateChangedEvent();
 
-      // Prepare for next step
-      this.advanceResetIndex = (this.advanceResetIndex + 1) % this.advanceResetStates.length;
+      // Prepare for next step (before the state change, so listeners and data-persist see it)
+      const advanceResetIndex = this.advanceResetIndex;
+      this.advanceResetIndex = (advanceResetIndex + 1) % this.advanceResetStates.length;
       this.isInitialStep = false;
+
+      if (!this.goToState(this.states.indexOf(nextState))) {
+        // Vetoed, so try the same step next time
+        this.advanceResetIndex = advanceResetIndex;
+        this.isInitialStep = true;
+      }
     } else {
-      // Reset to the initial state
+      // Reset to the initial state (setState keeps this step if the change is refused)
       this.resetToInitialState();
-      this.isInitialStep = true;
     }
   }
   
   /**
-   * Resets the state to the initial state.
+   * Undoes one advance-reset step, so stepping forward again repeats it.
+   */
+  advanceResetReverse() {
+    const count = this.advanceResetStates.length;
+    if (count === 0) return;
+    if (this.isInitialStep) {
+      // Back to the state that came before this reset
+      const previousState = this.advanceResetStates[(this.advanceResetIndex - 1 + count) % count];
+      this.isInitialStep = false;
+      if (!this.goToState(this.states.indexOf(previousState))) {
+        this.isInitialStep = true;
+      }
+    } else {
+      // Back to the initial state; the next step returns to the current state
+      const advanceResetIndex = this.advanceResetIndex;
+      this.advanceResetIndex = (advanceResetIndex - 1 + count) % count;
+      if (!this.resetToInitialState()) {
+        // Vetoed or refused by the data-trigger-group
+        this.advanceResetIndex = advanceResetIndex;
+      }
+    }
+  }
+  
+  /**
+   * Resets the state to the initial state.
+   * @returns {boolean} - False if the data-trigger-group refused the change.
+   */
+  resetToInitialState() {
+    return this.setState(this.initialStateIndex);
+  }
+  
+  /**
+   * Builds the detail shared by the state lifecycle events for a change to the given state.
+   * @param {number} index - Index of the state being entered.
+   * @returns {Object} - { newState, currentStateIndex, previousState, previousStateIndex, cause, source }.
+   */
+  getStateEventDetail(index) {
+    return {
+      newState: this.states[index],
+      currentStateIndex: index,
+      previousState: this.states[this.currentStateIndex],
+      previousStateIndex: this.currentStateIndex,
+      cause: this.changeCause || 'api',
+      source: this.changeSource || null
+    };
+  }
+  
+  /**
+   * Dispatches a bubbling state lifecycle event on the element.
+   * @param {string} type - 'beforeStateChange', 'stateLeave', 'stateEnter' or 'stateChanged'.
+   * @param {Object} detail - See getStateEventDetail().
+   * @param {boolean} [cancelable=false] - Whether listeners may call preventDefault().
+   * @returns {CustomEvent} - The dispatched event.
+   */
+  dispatchStateEvent(type, detail, cancelable = false) {
+    const event = new CustomEvent(type, {
+      bubbles: true, // Enable event bubbling
+      cancelable,
+      detail: { ...detail }
+    });
+    this.element.dispatchEvent(event);
+    return event;
+  }
+  
+  /**
+   * Returns the box that scroll fractions are measured against along the scroll axis:
+   * the window viewport, or the visible area of the data-scroll-container element.
+   * @returns {{start: number, size: number}} - Offset and length in pixels.
+   */
+  getViewportBox() {
+    const horizontal = this.scrollAxis === 'x';
+    if (!this.scrollContainer) {
+      return { start: 0, size: horizontal ? window.innerWidth : window.innerHeight };
+    }
+    const rect = this.scrollContainer.getBoundingClientRect();
+    return horizontal ?
+      { start: rect.left + this.scrollContainer.clientLeft, size: this.scrollContainer.clientWidth } :
+      { start: rect.top + this.scrollContainer.clientTop, size: this.scrollContainer.clientHeight };
+  }
+  
+  /**
+   * Calculates the element's position relative to the viewport based on viewport alignment.
+   * @returns {number|null} - The element's reference point as a fraction of the viewport height
+   *   (or width with data-scroll-axis="x", or of the data-scroll-container box), or null
+   *   while that box has no size (e.g., a collapsed or hidden scroll container).
+   */
+  getElementFraction() {
+    const rect = this.element.getBoundingClientRect();
+    const viewport = this.getViewportBox();
+    const start = this.scrollAxis === 'x' ? rect.left : rect.top;
+    const size = this.scrollAxis === 'x' ? rect.width : rect.height;
+    if (!viewport.size) return null;
+    
+    // Points, ranges and active space edges with px, vh, % or var() depend on the sizes,
+    // so they are resolved again after a resize (see ScrollScheduler.listen) or a size change
+    const resolved = this.resolvedMetrics;
+    if (this.relativeUnits && (!resolved || resolved.viewportSize !== viewport.size || resolved.elementSize !== size)) {
+      const metrics = { viewportSize: viewport.size, elementSize: size };
+      if (this.rangeUnits) this.resolveRanges(metrics);
+      this.resolveActiveSpace(metrics);
+      this.resolvedMetrics = metrics;
+    }
+    
+    // The reference point: top/middle/bottom (or an element fraction) plus any offset
+    const anchor = this.viewportAnchor;
+    const offset = anchor.value !== null ?
+      anchor.value * size :
+      resolvePosition(anchor, { element: this.element, unitless: size, elementSize: size });
+    const referencePoint = start + offset;
+    
+    return (referencePoint - viewport.start) / viewport.size;
+  }
+  
+  /**
+   * Measures the sizes that positions with units are resolved against.
+   * @returns {{viewportSize: number, elementSize: number}}
    */
-  resetToInitialState() {
-    applyState(this.element, this.initialState, this.allStates);
-    this.currentStateIndex = this.initialStateIndex;
-    this.dispatchStateChangedEvent();
+  getPositionMetrics() {
+    const rect = this.element.getBoundingClientRect();
+    return {
+      viewportSize: this.getViewportBox().size,
+      elementSize: this.scrollAxis === 'x' ? rect.width : rect.height
+    };
   }
   
   /**
-   * Dispatches a custom 'stateChanged' event.
+   * Converts a parsed position (points, ranges, active space) to a viewport fraction.
+   * @param {Object} position - Result of parsePosition().
+   * @param {{viewportSize: number, elementSize: number}} metrics - Current sizes.
+   * @returns {number}
    */
-  dispatchStateChangedEvent() {
-    this.element.dispatchEvent(new CustomEvent('stateChanged', {
-      bubbles: true, // Enable event bubbling
-      detail: {
-        newState: this.states[this.currentStateIndex],
-        currentStateIndex: this.currentStateIndex
-      }
-    }));
+  resolvePositionFraction(position, metrics) {
+    if (position.value !== null) return position.value;
+    if (!metrics.viewportSize) return 0;
+    const pixels = resolvePosition(position, {
+      element: this.element,
+      unitless: metrics.viewportSize,
+      elementSize: metrics.elementSize
+    });
+    return pixels / metrics.viewportSize;
   }
   
   /**
-   * Calculates the element's position relative to the viewport based on viewport alignment.
-   * @returns {number} - The element's reference point as a fraction of the viewport height.
+   * Re-resolves data-active-space edges that use units.
+   * @param {{viewportSize: number, elementSize: number}} metrics - Current sizes.
    */
-  getElementFraction() {
-    const rect = this.element.getBoundingClientRect();
-    const windowHeight = window.innerHeight;
-    let referencePoint;
+  resolveActiveSpace(metrics) {
+    if (!this.activeSpacePositions) return;
+    this.activeSpace = this.activeSpacePositions.map(position => this.resolvePositionFraction(position, metrics));
+  }
+  
+  /**
+   * Requests a scroll evaluation, honoring the element's data-debounce mode.
+   * The evaluation itself runs in the ScrollScheduler's next animation frame.
+   */
+  handleScroll() {
+    if (this.destroyed) return;
+    const now = Date.now();
     
-    switch (this.viewportAlign) {
-      case 'top':
-        referencePoint = rect.top;
+    switch (this.debounceMode) {
+      case 'throttle':
+        // Leading edge, then at most once per wait period
+        ScrollScheduler.defer(this, Math.max(now, (this.lastScrollUpdate || 0) + this.debounceWait));
         break;
-      case 'bottom':
-        referencePoint = rect.bottom;
+      
+      case 'debounce':
+        // Trailing edge, once scrolling pauses for the wait period
+        ScrollScheduler.defer(this, now + this.debounceWait, true);
         break;
-      case 'middle':
+      
+      case 'raf':
       default:
-        referencePoint = rect.top + rect.height / 2;
-        break;
+        ScrollScheduler.requestUpdate(this);
     }
-    
-    return referencePoint / windowHeight;
   }
   
   /**
    * Handles scroll-based animations and state changes.
+   * @param {number|null} [elementFraction] - Pre-measured result of getElementFraction(),
+   *   so the scheduler can batch layout reads ahead of class writes.
    */
-  handleScrollFunction() {
-    // Ensure this.ranges is defined and has at least one range
-    if (!this.ranges || this.ranges.length === 0) {
-      return; // Exit early if no scroll-based triggers are defined
-    }
-
-    const elementFraction = this.getElementFraction();
-    let currentRangeIndex = -1;
-
+  handleScrollFunction(elementFraction = this.getElementFraction()) {
+    if (this.destroyed) return;
+    // Nothing to measure against until the scroll container has a size again
+    if (elementFraction === null) return;
+    this.lastScrollUpdate = Date.now();
+    
+    this.withChangeCause('scroll', this.element, () => this.updateScrollState(elementFraction));
+  }
+  
+  /**
+   * Works out which way the page is scrolling from the change in position and exposes it
+   * as data-scroll-dir ("down"/"up", or "right"/"left" on the x axis) and --scroll-dir (1/-1).
+   * Scrolling down moves the element up the viewport, so its fraction decreases.
+   * @param {number} elementFraction - Result of getElementFraction().
+   */
+  updateScrollDirection(elementFraction) {
+    const lastFraction = this.lastScrollFraction;
+    this.lastScrollFraction = elementFraction;
+    if (lastFraction === null || elementFraction === lastFraction) return;
+    
+    const direction = elementFraction < lastFraction ? 'down' : 'up';
+    if (direction === this.currentScrollDir) return;
+    this.currentScrollDir = direction;
+    
+    const horizontal = this.scrollAxis === 'x';
+    this.element.setAttribute('data-scroll-dir', direction === 'down' ?
+      (horizontal ? 'right' : 'down') :
+      (horizontal ? 'left' : 'up'));
+    this.element.style.setProperty('--scroll-dir', direction === 'down' ? '1' : '-1');
+  }
+  
+  /**
+   * Finds the range a measured position falls in.
+   * @param {number|null} elementFraction - Result of getElementFraction().
+   * @returns {number} - Index into this.ranges, or -1 outside every range.
+   */
+  getRangeIndex(elementFraction) {
+    if (elementFraction === null) return -1;
+    
     // Define a small epsilon to account for floating point precision
     const epsilon = 0.001;
 
-    // Determine the current range index where elementFraction falls
     for (let i = 0; i < this.ranges.length; i++) {
       const range = this.ranges[i];
       // Inclusive start, exclusive end to prevent overlap
@@ -666,10 +3343,31 @@ class AnimationTrigger {
         (elementFraction > range.start || Math.abs(elementFraction - range.start) < epsilon) &&
         (elementFraction < range.end || (i === this.ranges.length - 1 && Math.abs(elementFraction - range.end) < epsilon))
       ) {
-        currentRangeIndex = i;
-        break;
+        return i;
       }
     }
+    return -1;
+  }
+  
+  /**
+   * Applies the scroll-based state and --scroll-progress for a measured position.
+   * @param {number} elementFraction - Result of getElementFraction().
+   */
+  updateScrollState(elementFraction) {
+
+    // Ensure this.ranges is defined and has at least one range
+    if (!this.ranges || this.ranges.length === 0) {
+      return; // Exit early if no scroll-based triggers are defined
+    }
+    
+    // Reduced motion 'final': the element stays in its final state
+    if (this.reducedMotionFinal && this.advancement !== 'aligned') {
+      return;
+    }
+    
+    this.updateScrollDirection(elementFraction);
+
+    const currentRangeIndex = this.getRangeIndex(elementFraction);
 
     // Update state class based on advancement behavior
     switch (this.advancement) {
@@ -681,32 +3379,25 @@ class AnimationTrigger {
           // Multiple ranges: Truncate states to match the number of ranges
           this.states = this.states.slice(0, numRanges);
       
-          const elementFraction = this.getElementFraction();
           const firstRangeStart = this.ranges[0]?.start || 0;
           const lastRangeEnd = this.ranges[numRanges - 1]?.end || 1;
       
           if (elementFraction < firstRangeStart) {
             // Before the first range, set to the first state
             if (this.currentStateIndex !== 0) {
-                applyState(this.element, this.states[0], this.allStates);
-                this.currentStateIndex = 0;
-                this.dispatchStateChangedEvent();
+                this.goToState(0);
             }
           } else if (elementFraction >= lastRangeEnd) {
             // After the last range, set to the last state
             if (this.currentStateIndex !== numRanges - 1) {
-                applyState(this.element, this.states[numRanges - 1], this.allStates);
-                this.currentStateIndex = numRanges - 1;
-                this.dispatchStateChangedEvent();
+                this.goToState(numRanges - 1);
             }
           } else {
             // Within the ranges, set to the corresponding state
             for (let i = 0; i < numRanges; i++) {
                 if (elementFraction >= this.ranges[i].start && elementFraction < this.ranges[i].end) {
                     if (this.currentStateIndex !== i) {
-                        applyState(this.element, this.states[i], this.allStates);
-                        this.currentStateIndex = i;
-                        this.dispatchStateChangedEvent();
+                        this.goToState(i);
                     }
                     break;
                 }
@@ -716,75 +3407,227 @@ class AnimationTrigger {
           // One range: Truncate states to match the number of ranges + 1
           this.states = this.states.slice(0, 2);
       
-          const elementFraction = this.getElementFraction();
           const rangeStart = this.ranges[0].start;
           const rangeEnd = this.ranges[0].end;
       
           if (elementFraction < rangeStart) {
             // Before the range, set to the first state
             if (this.currentStateIndex !== 0) {
-                applyState(this.element, this.states[0], this.allStates);
-                this.currentStateIndex = 0;
-                this.dispatchStateChangedEvent();
+                this.goToState(0);
             }
           } else {
             // Within or after the range, set to the second state
             if (this.currentStateIndex !== 1) {
-                applyState(this.element, this.states[1], this.allStates);
-                this.currentStateIndex = 1;
-                this.dispatchStateChangedEvent();
+                this.goToState(1);
             }
           }
         }
-      
-        this.dispatchStateChangedEvent();
         break;
 
-      case 'advance':
-        if (this.lastRangeIndex !== currentRangeIndex) {
-          this.advanceState();
-          this.lastRangeIndex = currentRangeIndex;
-        }
-        break;
-      case 'advance-reset':
-        if (this.lastRangeIndex !== currentRangeIndex) {
-          this.advanceResetHandleTrigger();
-          this.lastRangeIndex = currentRangeIndex;
-        }
-        break;
-      case 'toggle-initial':
+      default:
+        // Every other behavior takes one step each time the element enters a different range
         if (this.lastRangeIndex !== currentRangeIndex) {
-          this.toggleState();
+          // Before the element has moved, treat it as scrolling down
+          const direction = this.currentScrollDir || 'down';
+          if (this.scrollDirection === 'reversible' && direction === 'up') {
+            this.reverseAdvancement();
+          } else if (this.scrollDirection === 'both' || this.scrollDirection === 'reversible' ||
+                     this.scrollDirection === direction) {
+            this.stepAdvancement();
+          }
           this.lastRangeIndex = currentRangeIndex;
         }
-        break;
-      default:
-        console.warn(`Unknown advancement behavior: "${this.advancement}" on`, this.element);
     }
 
-    // Only update the --scroll-progress CSS variable if data-scroll-animate is true
-    if (this.scrollAnimate) {
-      if (currentRangeIndex === -1) {
-        if (this.ranges.length > 0) {
-          const firstRange = this.ranges[0];
-          const lastRange = this.ranges[this.ranges.length - 1];
-
-          if (elementFraction < (firstRange.start - epsilon)) {
-            this.element.style.setProperty('--scroll-progress', '0');
-          } else if (elementFraction > (lastRange.end + epsilon)) {
-            this.element.style.setProperty('--scroll-progress', '1');
-          } else {
-            this.element.style.setProperty('--scroll-progress', '0');
-          }
+    // Only update scroll progress if data-scroll-animate or data-scroll-keyframes is set
+    if (this.scrollAnimate || this.scrollKeyframes) {
+      this.updateScrollProgress(elementFraction, currentRangeIndex);
+    }
+  }
+  
+  /**
+   * Writes the scroll progress CSS variables for a measured position:
+   * - --scroll-progress: eased progress through the current range (0 before, between and
+   *   at the start of ranges, 1 after the last one)
+   * - --scroll-progress-raw: the same progress, unrounded and without easing
+   * - --scroll-progress-total: eased progress from the start of the first range to the end of the last
+   * - --scroll-range-index: the current range, -1 before the first, the range count after the last,
+   *   and halfway values (e.g., 0.5) in the gap between two ranges
+   * - --scroll-velocity: scroll speed from -1 (up/left) to 1 (down/right), back to 0 when scrolling stops
+   * The variables are only written with data-scroll-animate; data-scroll-keyframes follows the
+   * eased range progress, or the eased total progress with data-scroll-keyframes-progress="total".
+   * @param {number} elementFraction - Result of getElementFraction().
+   * @param {number} currentRangeIndex - Index of the range containing the position, or -1.
+   */
+  updateScrollProgress(elementFraction, currentRangeIndex) {
+    const style = this.element.style;
+    const ranges = this.ranges;
+    const firstRange = ranges[0];
+    const lastRange = ranges[ranges.length - 1];
+    const factor = Math.pow(10, this.scrollPrecision);
+    const format = value => this.freezeProgress ?
+      String(Math.round(value)) : // Reduced motion: no scrubbing, just the start or end
+      String(Math.round(value * factor) / factor);
+    
+    let progress;
+    let rangeIndex;
+    if (currentRangeIndex !== -1) {
+      const range = ranges[currentRangeIndex];
+      progress = Math.min(Math.max((elementFraction - range.start) / (range.end - range.start), 0), 1);
+      rangeIndex = currentRangeIndex;
+    } else if (elementFraction < firstRange.start) {
+      progress = 0;
+      rangeIndex = -1;
+    } else if (elementFraction >= lastRange.end) {
+      progress = 1;
+      rangeIndex = ranges.length;
+    } else {
+      // In the gap after a range: progress restarts, the index sits halfway to the next range
+      progress = 0;
+      rangeIndex = ranges.filter(range => range.end <= elementFraction).length - 0.5;
+    }
+    
+    const total = Math.min(Math.max((elementFraction - firstRange.start) / (lastRange.end - firstRange.start), 0), 1);
+    
+    if (this.scrollKeyframes) {
+      const keyframesProgress = this.scrollEasing(this.scrollKeyframesProgress === 'total' ? total : progress);
+      this.applyScrollKeyframes(this.freezeProgress ? Math.round(keyframesProgress) : keyframesProgress);
+    }
+    if (!this.scrollAnimate) return;
+    
+    style.setProperty('--scroll-progress', format(this.scrollEasing(progress)));
+    style.setProperty('--scroll-progress-raw', String(progress));
+    style.setProperty('--scroll-progress-total', format(this.scrollEasing(total)));
+    style.setProperty('--scroll-range-index', String(rangeIndex));
+    this.updateScrollVelocity(elementFraction, factor);
+  }
+  
+  /**
+   * Scrubs data-scroll-keyframes to a progress value. Uses a paused Web Animation whose
+   * currentTime follows the progress, or sets inline styles where element.animate() is
+   * unavailable or rejects the keyframes.
+   * @param {number} progress - Progress from 0 to 1.
+   */
+  applyScrollKeyframes(progress) {
+    if (this.scrollAnimation === null) {
+      this.scrollAnimation = false;
+      if (typeof this.element.animate === 'function') {
+        try {
+          this.scrollAnimation = this.element.animate(this.scrollKeyframes.keyframes, { duration: 1000, fill: 'both', easing: 'linear' });
+          this.scrollAnimation.pause();
+        } catch (error) {
+          logger.warn('data-scroll-keyframes could not be animated, using inline styles instead:', error.message, this.element);
+          this.scrollAnimation = false;
         }
-        return;
       }
-
-      const range = this.ranges[currentRangeIndex];
-      let progress = (elementFraction - range.start) / (range.end - range.start);
-      progress = Math.min(Math.max(progress, 0), 1);
-      progress = Math.round(progress * 100) / 100;
-      this.element.style.setProperty('--scroll-progress', progress);
+    }
+    
+    if (this.scrollAnimation) {
+      this.scrollAnimation.currentTime = progress * 1000;
+      return;
+    }
+    Object.entries(this.scrollKeyframes.tracks).forEach(([property, stops]) => {
+      this.element.style.setProperty(property, sampleKeyframeTrack(stops, progress));
+    });
+  }
+  
+  /**
+   * Updates --scroll-velocity from the change in position since the last update.
+   * Scrolling down moves the element up the viewport, so a falling fraction is a positive velocity.
+   * The value is scaled by AnimationTriggerSettings.scrollVelocityMax and clamped to -1..1.
+   * @param {number} elementFraction - Result of getElementFraction().
+   * @param {number} factor - Rounding factor for the configured precision.
+   */
+  updateScrollVelocity(elementFraction, factor) {
+    const now = Date.now();
+    const last = this.velocitySample;
+    this.velocitySample = { fraction: elementFraction, time: now };
+    if (!last || now <= last.time) return;
+    
+    let velocity = 0;
+    if (!this.freezeProgress) {
+      const perSecond = (last.fraction - elementFraction) / ((now - last.time) / 1000);
+      velocity = Math.min(Math.max(perSecond / (AnimationTriggerSettings.scrollVelocityMax || 1), -1), 1);
+    }
+    this.element.style.setProperty('--scroll-velocity', String(Math.round(velocity * factor) / factor));
+    
+    // No scroll events arrive once scrolling stops, so the scheduler settles it back to 0
+    if (velocity !== 0) {
+      ScrollScheduler.moving.add(this);
+    } else {
+      ScrollScheduler.moving.delete(this);
+    }
+  }
+  
+  /**
+   * Resets --scroll-velocity to 0 once no scroll update has arrived for a moment.
+   * Called by the ScrollScheduler in every frame while the velocity is non-zero.
+   * @param {number} now - Timestamp (Date.now() based) of the current frame.
+   * @returns {boolean} - True while the element still counts as moving.
+   */
+  settleScrollVelocity(now) {
+    if (this.velocitySample && now - this.velocitySample.time < 150) return true;
+    this.velocitySample = null;
+    this.element.style.setProperty('--scroll-velocity', '0');
+    return false;
+  }
+  
+  /**
+   * Tears the instance down: removes every listener, clears time and delay timers,
+   * strips the state classes and scroll progress variables, and allows the element to be
+   * initialized again. A destroyed instance ignores any further triggers and scroll updates.
+   */
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    
+    // Remove event listeners, leave the scroll loop and clear timers
+    this.disconnect();
+    ReducedMotion.unregister(this);
+    
+    // Strip applied state
+    this.allStates.forEach(state => this.element.classList.remove(state));
+    this.element.classList.remove('reduced-motion');
+    this.clearScrollOutput();
+    this.element.style.removeProperty('--scroll-dir');
+    this.element.removeAttribute('data-scroll-dir');
+    this.removeAria();
+    
+    if (this.element._animationTrigger === this) {
+      delete this.element._animationTrigger;
+      delete this.element.ranges;
+      this.element._initialized = false;
+    }
+    
+    // Leave the page registry, so AnimationTriggers.all() and the debug overlay drop it
+    if (typeof AnimationTrigger.onDestroy === 'function') {
+      AnimationTrigger.onDestroy(this);
+    }
+  }
+  
+  /**
+   * Removes the scroll progress variables and the data-scroll-keyframes animation or inline styles.
+   */
+  clearScrollOutput() {
+    ['--scroll-progress', '--scroll-progress-raw', '--scroll-progress-total', '--scroll-range-index', '--scroll-velocity']
+      .forEach(property => this.element.style.removeProperty(property));
+    if (this.scrollAnimation) {
+      this.scrollAnimation.cancel();
+    } else if (this.scrollAnimation === false) {
+      Object.keys(this.scrollKeyframes.tracks).forEach(property => this.element.style.removeProperty(property));
+    }
+    this.scrollAnimation = null;
+    this.velocitySample = null;
+  }
+  
+  /**
+   * Removes the ARIA attributes written by data-aria-sync and data-aria-sync-trigger.
+   */
+  removeAria() {
+    this.ariaSync.forEach(rule => this.element.removeAttribute(rule.attribute));
+    if (this.ariaSyncTrigger.length > 0) {
+      const triggerElements = this.getTriggerElements();
+      this.ariaSyncTrigger.forEach(rule => triggerElements.forEach(el => el.removeAttribute(rule.attribute)));
     }
   }
   
@@ -792,6 +3635,36 @@ class AnimationTrigger {
   // Helper Methods
   // ---------------------------
   
+  /**
+   * Reads a configuration attribute, preferring a value from a matching breakpoint-scoped
+   * attribute or data-media entry.
+   * @param {string} name - The attribute name, e.g., 'data-trigger-points'.
+   * @returns {string|null}
+   */
+  readAttribute(name) {
+    return this.mediaOverrides.has(name) ? this.mediaOverrides.get(name) : this.element.getAttribute(name);
+  }
+  
+  /**
+   * Parses a data-lock value.
+   * e.g., "transition", "500ms", "transition:queue" or "1s:ignore"
+   * @param {string|null} attr - The attribute string.
+   * @returns {{type: string, duration: number, policy: string}|null} - The lock, or null for none.
+   */
+  parseLock(attr) {
+    if (!attr) return null;
+    const [kind, policyStr] = attr.split(':').map(s => s.trim().toLowerCase());
+    if (policyStr && !['queue', 'ignore'].includes(policyStr)) {
+      logger.warn(`Invalid data-lock policy: "${policyStr}". Using "ignore".`);
+    }
+    const policy = policyStr === 'queue' ? 'queue' : 'ignore';
+    if (kind === 'transition') {
+      return { type: 'transition', duration: 0, policy };
+    }
+    const duration = parseTimeValue(kind);
+    return duration === null ? null : { type: 'time', duration, policy };
+  }
+  
   /**
    * Parses a comma-separated list of selectors.
    * @param {string|null} attr - The attribute string.
@@ -806,8 +3679,33 @@ class AnimationTrigger {
    * @param {string|null} attr - The attribute string.
    * @returns {Array<number>} - Array of numbers.
    */
-  parseNumberList(attr) {
-    return attr ? attr.split(',').map(s => parseFloat(s.trim())).filter(n => !isNaN(n)) : [];
+  parsePositionList(attr) {
+    if (!attr) return [];
+    return splitOutsideParens(attr, /,/).map(pointStr => {
+      const position = parsePosition(pointStr);
+      if (!position) {
+        logger.warn(`Invalid point: "${pointStr}"`);
+      }
+      return position;
+    }).filter(position => position !== null);
+  }
+  
+  /**
+   * Parses a data-viewport-align value into an anchor on the element: a keyword or element
+   * fraction plus an optional offset, e.g., "top", "top+80px", "bottom-10%" or "0.3".
+   * @param {string} value - The attribute string.
+   * @returns {Object} - A parsePosition() result whose unitless part is an element fraction.
+   */
+  parseViewportAnchor(value) {
+    const keywords = { top: '0', left: '0', middle: '0.5', center: '0.5', bottom: '1', right: '1' };
+    const source = value.trim().replace(/^(top|left|middle|center|bottom|right)\b/i, keyword => keywords[keyword.toLowerCase()]);
+    // An offset on its own ("80px") is measured from the element's top (or left)
+    const anchor = parsePosition(/^[+-]|^\d*\.?\d+(px|vh|vw|%)|^var\(/i.test(source) ? `0+${source}` : source);
+    if (!anchor) {
+      logger.warn(`Invalid data-viewport-align: "${value}". Using "middle".`);
+      return parsePosition('0.5');
+    }
+    return anchor;
   }
   
   /**
@@ -820,153 +3718,1085 @@ class AnimationTrigger {
   }
   
   /**
-   * Parses ranges from a comma-separated string, allowing negative and greater-than-one values.
+   * Parses ranges from a comma-separated string, allowing negative and greater-than-one values
+   * and positions with units.
    * @param {string|null} attr - The attribute string.
-   * @returns {Array<{start: number, end: number}>} - Array of range objects.
+   * @returns {Array<{start: Object, end: Object}>} - Ranges of parsePosition() results.
    */
   parseRanges(attr) {
     if (!attr) return [];
-    return attr.split(',').map(rangeStr => {
-      // Use a regular expression to correctly split the range string
-      const match = rangeStr.match(/^(-?\d*\.?\d+)-(-?\d*\.?\d+)$/);
-      if (!match) {
-        console.warn(`Invalid range: "${rangeStr}"`);
-        return null;
-      }
-      const start = parseFloat(match[1]);
-      const end = parseFloat(match[2]);
-      return { start, end };
+    return splitOutsideParens(attr, /,/).map(rangeStr => {
+      const range = parseRange(rangeStr);
+      if (!range) {
+        logger.warn(`Invalid range: "${rangeStr}"`);
+      }
+      return range;
     }).filter(r => r !== null);
   }
-}
+}
+
+// ---------------------------
+// Main Animation Trigger Initialization
+// ---------------------------
+
+/**
+* Attributes of .animation-trigger-parent that are not copied to children: those that configure
+* the parent itself, and data-scroll-dir, which the script writes at runtime.
+*/
+const NON_INHERITED_ATTRIBUTES = ['data-child-target', 'data-child-scope', 'data-stagger', 'data-stagger-order', 'data-scroll-dir'];
+
+/**
+* Works out each child's position in a data-stagger sequence.
+* @param {number} count - Number of children, in DOM order.
+* @param {string|null} order - "dom" (default), "reverse", "from-center" ("center" also works) or "random".
+* @returns {Array<number>} - Stagger step for each child (0 fires first).
+*/
+function getStaggerRanks(count, order) {
+  const indexes = Array.from({ length: count }, (_, i) => i);
+  switch ((order || 'dom').trim().toLowerCase()) {
+    case 'dom':
+      return indexes;
+    case 'reverse':
+      return indexes.map(i => count - 1 - i);
+    case 'from-center':
+    case 'center':
+      // The middle child (or middle pair) first, then outwards
+      return indexes.map(i => Math.floor(Math.abs(i - (count - 1) / 2)));
+    case 'random': {
+      // Fisher-Yates shuffle of the steps
+      for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+      }
+      return indexes;
+    }
+    default:
+      logger.warn(`Unknown data-stagger-order: "${order}". Using "dom".`);
+      return indexes;
+  }
+}
+
+/**
+ * Applies the 'animation-trigger' class and copies all relevant data attributes
+ * from the parent to the target elements specified in data-child-target.
+ * 
+ * Supports complex CSS selectors like ':nth-child' and direct child selectors ('>').
+ * Selectors are matched against the whole document unless data-child-scope="parent" is
+ * set or the selector uses :scope, in which case only the parent's descendants match.
+ * 
+ * @param {HTMLElement} parentElement - The parent element with 'animation-trigger-parent' class.
+ * @returns {AnimationTrigger[]} - Array of initialized AnimationTrigger instances for targets.
+ */
+function handleParentChildTriggers(parentElement) {
+  const triggerInstances = [];
+  const children = [];
+  const childTargetSelectors = parentElement.getAttribute('data-child-target');
+
+  if (childTargetSelectors) {
+    try {
+      // Split selectors by comma and trim whitespace
+      const selectors = childTargetSelectors
+        .split(',')
+        .map(s => s.trim())
+        .filter(s => s !== '');
+
+      const scopedToParent = (parentElement.getAttribute('data-child-scope') || '').trim().toLowerCase() === 'parent';
+
+      selectors.forEach(selector => {
+        // Use the entire document scope to allow selecting any element based on the selector,
+        // unless the parent scopes its targets to its own descendants
+        const scope = (scopedToParent || selector.includes(':scope')) ? parentElement : document;
+        const targetElements = scope.querySelectorAll(selector);
+
+        if (targetElements.length === 0) {
+          logger.warn(`No elements found for selector "${selector}" in data-child-target.`);
+        }
+
+        targetElements.forEach(child => {
+          // Skip if child already has 'animation-trigger' class (manual configuration)
+          if (!child.classList.contains('animation-trigger') && !children.includes(child)) {
+            children.push(child);
+          } else {
+            //console.log(`Skipped applying parent config to manually configured 'animation-trigger':`, child);
+          }
+        });
+      });
+
+      // Stagger: offset each child's data-delay by its position in the chosen order
+      const staggerAttr = parentElement.getAttribute('data-stagger');
+      const stagger = staggerAttr ? parseTimeValue(staggerAttr.trim()) : null;
+      const parentDelayAttr = parentElement.getAttribute('data-delay');
+      const parentDelay = (parentDelayAttr && parseTimeValue(parentDelayAttr)) || 0;
+      let staggerRanks = null;
+      if (stagger !== null) {
+        children.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+        staggerRanks = getStaggerRanks(children.length, parentElement.getAttribute('data-stagger-order'));
+      }
+
+      children.forEach((child, index) => {
+        // Add 'animation-trigger' class to child
+        child.classList.add('animation-trigger');
+
+        // Copy all relevant data attributes from parent to child
+        const inherited = Array.from(parentElement.attributes)
+          .filter(attr => attr.name.startsWith('data-') && !NON_INHERITED_ATTRIBUTES.includes(attr.name));
+        inherited.forEach(attr => {
+          child.setAttribute(attr.name, attr.value);
+        });
+        // Remember what came from the parent so releaseParentChildTriggers() can undo it
+        child._animationTriggerInherited = inherited.map(attr => attr.name);
+
+        if (staggerRanks) {
+          const staggerDelay = staggerRanks[index] * stagger;
+          child.setAttribute('data-delay', `${parentDelay + staggerDelay}ms`);
+          if (!child._animationTriggerInherited.includes('data-delay')) {
+            child._animationTriggerInherited.push('data-delay');
+          }
+          // Also exposed for CSS, e.g., transition-delay: var(--stagger-delay)
+          child.style.setProperty('--stagger-delay', `${staggerDelay}ms`);
+          child.style.setProperty('--stagger-index', String(staggerRanks[index]));
+        }
+
+        // Initialize AnimationTrigger for the child
+        const childInstance = new AnimationTrigger(child);
+        triggerInstances.push(childInstance);
+        //console.log(`Applied parent 'animation-trigger' to target element:`, child);
+      });
+
+      const previousChildren = (parentElement._animationTriggerChildren || []).filter(child => child.isConnected);
+      parentElement._animationTriggerChildren = previousChildren.concat(children);
+    } catch (error) {
+      logger.error(`Error processing data-child-target selectors:`, error);
+    }
+  } else {
+    logger.warn(`Parent element with 'animation-trigger-parent' class is missing 'data-child-target' attribute.`);
+  }
+
+  return triggerInstances;
+}
+
+/**
+ * Undoes handleParentChildTriggers() for a parent's children: removes the copied data
+ * attributes, the 'animation-trigger' class and the stagger variables, so the parent's
+ * configuration can be propagated again. Their instances must be destroyed first.
+ * @param {HTMLElement} parentElement - The parent element with 'animation-trigger-parent' class.
+ */
+function releaseParentChildTriggers(parentElement) {
+  (parentElement._animationTriggerChildren || []).forEach(child => {
+    (child._animationTriggerInherited || []).forEach(name => child.removeAttribute(name));
+    delete child._animationTriggerInherited;
+    child.classList.remove('animation-trigger');
+    child.style.removeProperty('--stagger-delay');
+    child.style.removeProperty('--stagger-index');
+  });
+  parentElement._animationTriggerChildren = [];
+}
+
+// ---------------------------
+// Debug Overlay
+// ---------------------------
+
+/**
+* Draws each scroll trigger's range boundaries and active space as lines over the
+* viewport (or its scroll container), plus a badge on every trigger element showing
+* its current state, reference-point fraction, --scroll-progress and advancement.
+* Enable with ?at-debug in the page URL or AnimationTriggers.debug(true).
+*/
+const DebugOverlay = {
+  root: null,
+  getInstances: null,
+  frameID: null,
+  colors: ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'],
+  
+  /**
+  * Shows the overlay.
+  * @param {Function} getInstances - Returns the AnimationTrigger instances to draw.
+  */
+  enable(getInstances) {
+    this.getInstances = getInstances;
+    if (this.root) return;
+    
+    this.root = document.createElement('div');
+    this.root.setAttribute('data-animation-trigger-debug', '');
+    this.root.style.cssText = 'position:fixed;inset:0;pointer-events:none;z-index:2147483647;overflow:hidden;font:11px/1.3 monospace;';
+    document.body.appendChild(this.root);
+    
+    this.scheduleRender = this.scheduleRender.bind(this);
+    window.addEventListener('scroll', this.scheduleRender, { capture: true, passive: true });
+    window.addEventListener('resize', this.scheduleRender);
+    document.addEventListener('stateChanged', this.scheduleRender);
+    this.scheduleRender();
+    logger.debug('Animation trigger debug overlay enabled');
+  },
+  
+  /**
+  * Removes the overlay.
+  */
+  disable() {
+    if (!this.root) return;
+    window.removeEventListener('scroll', this.scheduleRender, { capture: true });
+    window.removeEventListener('resize', this.scheduleRender);
+    document.removeEventListener('stateChanged', this.scheduleRender);
+    cancelAnimationFrame(this.frameID);
+    this.frameID = null;
+    this.root.remove();
+    this.root = null;
+  },
+  
+  /**
+  * Redraws the overlay in the next animation frame.
+  */
+  scheduleRender() {
+    if (this.frameID !== null) return;
+    this.frameID = requestAnimationFrame(() => {
+      this.frameID = null;
+      this.render();
+    });
+  },
+  
+  /**
+  * Measures where an instance's boundary lines go: its viewport box along the scroll
+  * axis, and the span of the viewport (or scroll container) across it.
+  * @param {AnimationTrigger} instance - The instance to measure.
+  * @returns {{horizontal: boolean, box: {start: number, size: number}, cross: {start: number, size: number}}}
+  */
+  measureLines(instance) {
+    const horizontal = instance.scrollAxis === 'x';
+    const container = instance.scrollContainer ? instance.scrollContainer.getBoundingClientRect() : null;
+    const cross = horizontal ?
+      { start: container ? container.top : 0, size: container ? container.height : window.innerHeight } :
+      { start: container ? container.left : 0, size: container ? container.width : window.innerWidth };
+    return { horizontal, box: instance.getViewportBox(), cross };
+  },
+  
+  /**
+  * Describes a boundary line and its label at a fraction of an instance's viewport box.
+  * @param {Array<{cssText: string, text: string}>} markers - Receives the two markers.
+  * @param {Object} layout - Result of measureLines().
+  * @param {number} fraction - Position as a fraction of the viewport box.
+  * @param {string} color - Line color.
+  * @param {string} style - CSS border style ('solid' for ranges, 'dashed' for active space).
+  * @param {string} label - Text shown next to the line.
+  */
+  addLine(markers, layout, fraction, color, style, label) {
+    const { horizontal, box, cross } = layout;
+    const position = box.start + fraction * box.size;
+    
+    if (horizontal) {
+      markers.push({ cssText: `left:${position}px;top:${cross.start}px;height:${cross.size}px;border-left:1px ${style} ${color};`, text: '' });
+      markers.push({ cssText: `left:${position + 2}px;top:${cross.start}px;color:${color};`, text: label });
+    } else {
+      markers.push({ cssText: `top:${position}px;left:${cross.start}px;width:${cross.size}px;border-top:1px ${style} ${color};`, text: '' });
+      markers.push({ cssText: `top:${position + 1}px;left:${cross.start + cross.size - 4}px;transform:translateX(-100%);color:${color};`, text: label });
+    }
+  },
+  
+  /**
+  * Redraws all lines and badges from the current instance positions. Every position is
+  * measured before anything is written, and the existing marker elements are updated
+  * in place rather than rebuilt.
+  */
+  render() {
+    if (!this.root) return;
+    
+    // Read phase
+    const markers = [];
+    this.getInstances().forEach((instance, i) => {
+      const color = this.colors[i % this.colors.length];
+      const name = instance.element.id ? `#${instance.element.id}` : `${instance.element.tagName.toLowerCase()}[${i}]`;
+      
+      // Range boundaries and active space
+      if (instance.ranges) {
+        const layout = this.measureLines(instance);
+        instance.ranges.forEach((range, rangeIndex) => {
+          this.addLine(markers, layout, range.start, color, 'solid', `${name} range ${rangeIndex + 1} start ${range.start}`);
+          this.addLine(markers, layout, range.end, color, 'solid', `${name} range ${rangeIndex + 1} end ${range.end}`);
+        });
+        if (instance.activeSpace) {
+          instance.activeSpace.forEach((edge, edgeIndex) => {
+            this.addLine(markers, layout, edge, color, 'dashed', `${name} active space ${edgeIndex === 0 ? 'start' : 'end'} ${edge}`);
+          });
+        }
+      }
+      
+      // Badge on the element
+      const rect = instance.element.getBoundingClientRect();
+      if (rect.bottom < 0 || rect.top > window.innerHeight || rect.right < 0 || rect.left > window.innerWidth) return;
+      const progress = instance.element.style.getPropertyValue('--scroll-progress');
+      const fraction = instance.getElementFraction();
+      const lines = [
+        name,
+        `state: ${instance.states[instance.currentStateIndex]} (${instance.currentStateIndex})`,
+        `fraction: ${fraction === null ? '-' : fraction.toFixed(3)} (${instance.viewportAlign})`,
+        `--scroll-progress: ${progress === '' ? '-' : progress}`,
+        `advancement: ${instance.advancement}`
+      ];
+      markers.push({
+        cssText: `top:${Math.max(rect.top, 0)}px;left:${Math.max(rect.left, 0)}px;padding:2px 4px;` +
+          `background:rgba(0,0,0,0.75);color:#fff;border-left:3px solid ${color};white-space:pre;`,
+        text: lines.join('\n')
+      });
+    });
+    
+    // Write phase: reuse the marker elements from the last render, only touching what changed
+    markers.forEach(({ cssText, text }, i) => {
+      let marker = this.root.children[i];
+      if (!marker) {
+        marker = document.createElement('div');
+        this.root.appendChild(marker);
+      }
+      if (marker._cssText !== cssText) {
+        marker._cssText = cssText;
+        marker.style.cssText = `position:absolute;${cssText}`;
+      }
+      if (marker.textContent !== text) marker.textContent = text;
+    });
+    while (this.root.children.length > markers.length) {
+      this.root.lastElementChild.remove();
+    }
+  }
+};
 
 // ---------------------------
-// Main Animation Trigger Initialization
+// Configuration Validator
 // ---------------------------
 
 /**
- * Applies the 'animation-trigger' class and copies all relevant data attributes
- * from the parent to the target elements specified in data-child-target.
- * 
- * Supports complex CSS selectors like ':nth-child' and direct child selectors ('>').
- * 
- * @param {HTMLElement} parentElement - The parent element with 'animation-trigger-parent' class.
- * @returns {AnimationTrigger[]} - Array of initialized AnimationTrigger instances for targets.
- */
-function handleParentChildTriggers(parentElement) {
-  const triggerInstances = [];
-  const childTargetSelectors = parentElement.getAttribute('data-child-target');
+* Checks a time trigger string (e.g., "loop:5s x3", "interval:1s,2s-4s") without starting it.
+* @param {string} timeValue - The data-trigger-time value.
+* @returns {string|null} - A problem description, or null if valid.
+*/
+function validateTimeTrigger(timeValue) {
+  const [type, ...rest] = timeValue.split(':').map(s => s.trim());
+  if (!TIME_TRIGGER_TYPES.includes(type.toLowerCase())) {
+    return `Unknown time trigger type "${type}". Use loop, loop interval, interval or delay.`;
+  }
+  const repeatMatch = rest.join(':').match(/\s*x(\d+)$/i);
+  const times = rest.join(':').slice(0, repeatMatch ? repeatMatch.index : undefined)
+    .split(',').map(s => s.trim()).filter(s => s !== '');
+  if (times.length === 0) {
+    return `Time trigger "${timeValue}" has no time value.`;
+  }
+  if (repeatMatch && !['loop', 'loop interval'].includes(type.toLowerCase())) {
+    return `Repeat counts ("x${repeatMatch[1]}") only apply to loop and loop interval.`;
+  }
+  const invalid = times.filter(time => parseTimeRange(time, true) === null);
+  if (invalid.length > 0) {
+    return `Invalid time value(s) ${invalid.map(time => `"${time}"`).join(', ')}. Use minutes (m), seconds (s) or milliseconds (ms), or a range such as "2s-5s".`;
+  }
+  return null;
+}
 
-  if (childTargetSelectors) {
+/**
+* Checks every selector in a list and reports invalid selectors and selectors that match nothing.
+* @param {string} attribute - The attribute name, for the report.
+* @param {string|null} value - The comma-separated selector list.
+* @param {Function} report - Callback receiving (severity, attribute, message).
+* @param {HTMLElement|null} [scopeElement=null] - Element that :scope selectors are resolved in.
+* @param {boolean} [scopeAll=false] - Resolve every selector inside scopeElement (data-child-scope="parent").
+*/
+function validateSelectorList(attribute, value, report, scopeElement = null, scopeAll = false) {
+  if (value === null) return;
+  const selectors = value.split(',').map(s => s.trim()).filter(s => s !== '');
+  if (selectors.length === 0) {
+    report('error', attribute, `${attribute} is empty.`);
+  }
+  selectors.forEach(selector => {
     try {
-      // Split selectors by comma and trim whitespace
-      const selectors = childTargetSelectors
-        .split(',')
-        .map(s => s.trim())
-        .filter(s => s !== '');
-
-      selectors.forEach(selector => {
-        // Use the entire document scope to allow selecting any element based on the selector
-        const targetElements = document.querySelectorAll(selector);
+      const selectorScope = scopeElement && (scopeAll || selector.includes(':scope')) ? scopeElement : document;
+      if (selectorScope.querySelectorAll(selector).length === 0) {
+        report('warn', attribute, `Selector "${selector}" does not match any element.`);
+      }
+    } catch (error) {
+      report('error', attribute, `Selector "${selector}" is not a valid CSS selector.`);
+    }
+  });
+}
 
-        if (targetElements.length === 0) {
-          console.warn(`No elements found for selector "${selector}" in data-child-target.`);
+/**
+* Validates the configuration of every trigger inside a root element without changing anything.
+* 
+* @param {Document|HTMLElement} [root=document] - The subtree to validate.
+* @returns {{valid: boolean, errorCount: number, warningCount: number,
+*   elements: Array<{element: HTMLElement, problems: Array<{severity: string, attribute: string, message: string}>}>}}
+*   - Elements with at least one problem, in document order.
+*/
+function validateAnimationTriggers(root = document) {
+  const candidates = Array.from(root.querySelectorAll('.animation-trigger, .animation-trigger-parent'));
+  if (root.matches && root.matches('.animation-trigger, .animation-trigger-parent')) {
+    candidates.unshift(root);
+  }
+  
+  const report = { valid: true, errorCount: 0, warningCount: 0, elements: [] };
+  
+  candidates.forEach(element => {
+    const problems = [];
+    const add = (severity, attribute, message) => problems.push({ severity, attribute, message });
+    // Check the configuration that applies at the current viewport size
+    const overrides = ResponsiveConfig.resolve(ResponsiveConfig.getRules(element));
+    const attr = name => overrides.has(name) ? overrides.get(name) : element.getAttribute(name);
+    const isParent = element.classList.contains('animation-trigger-parent');
+    
+    // States
+    const states = (attr('data-states') || '').split(',').map(s => s.trim()).filter(s => s !== '');
+    if (states.length === 0) {
+      add('error', 'data-states', 'No states defined. Add data-states="state1,state2".');
+    }
+    const initialState = attr('data-initial-state');
+    if (initialState !== null && states.length > 0 && !states.includes(initialState)) {
+      add('error', 'data-initial-state', `Initial state "${initialState}" is not in data-states. The first state will be used.`);
+    }
+    
+    // Ranges and points
+    let rangeCount = 0;
+    const rangesAttr = attr('data-trigger-ranges');
+    if (rangesAttr !== null) {
+      splitOutsideParens(rangesAttr, /,/).forEach(rangeStr => {
+        const range = parseRange(rangeStr);
+        if (!range) {
+          add('error', 'data-trigger-ranges', `Malformed range "${rangeStr}". Use start-end, e.g., "0.2-0.6" or "120px-50vh".`);
+        } else if (range.start.value !== null && range.end.value !== null && range.start.value >= range.end.value) {
+          add('error', 'data-trigger-ranges', `Range "${rangeStr}" must start before it ends.`);
+        } else {
+          rangeCount++;
         }
-
-        targetElements.forEach(child => {
-          // Skip if child already has 'animation-trigger' class (manual configuration)
-          if (!child.classList.contains('animation-trigger')) {
-            // Add 'animation-trigger' class to child
-            child.classList.add('animation-trigger');
-
-            // Copy all relevant data attributes from parent to child
-            Array.from(parentElement.attributes)
-              .filter(attr => attr.name.startsWith('data-') && attr.name !== 'data-child-target')
-              .forEach(attr => {
-                child.setAttribute(attr.name, attr.value);
-              });
-
-            // Initialize AnimationTrigger for the child
-            const childInstance = new AnimationTrigger(child);
-            triggerInstances.push(childInstance);
-            //console.log(`Applied parent 'animation-trigger' to target element:`, child);
-          } else {
-            //console.log(`Skipped applying parent config to manually configured 'animation-trigger':`, child);
-          }
-        });
       });
-    } catch (error) {
-      console.error(`Error processing data-child-target selectors:`, error);
     }
-  } else {
-    console.warn(`Parent element with 'animation-trigger-parent' class is missing 'data-child-target' attribute.`);
-  }
-
-  return triggerInstances;
+    const pointsAttr = attr('data-trigger-points');
+    if (pointsAttr !== null && rangesAttr === null) {
+      const points = splitOutsideParens(pointsAttr, /,/);
+      const invalid = points.filter(point => parsePosition(point) === null);
+      if (invalid.length > 0) {
+        add('error', 'data-trigger-points', `Invalid point(s) ${invalid.map(point => `"${point}"`).join(', ')}. Use viewport fractions or px, vh, vw, % or var() positions.`);
+      }
+      // Points with units can only be told apart at a given size, so compare them as written.
+      // With units, every pair of neighbouring points keeps its range (see defineRanges()).
+      const parsedPoints = points.map(point => ({ point, position: parsePosition(point) }))
+        .filter(({ position }) => position !== null);
+      const uniquePoints = new Set(parsedPoints.map(({ point, position }) => position.value !== null ? position.value : point));
+      const hasUnits = parsedPoints.some(({ position }) => position.value === null);
+      rangeCount = Math.max(0, (hasUnits ? parsedPoints.length : uniquePoints.size) - 1);
+      if (uniquePoints.size < 2) {
+        add('error', 'data-trigger-points', 'At least two different points are needed to form a range.');
+      }
+    } else if (pointsAttr !== null) {
+      add('warn', 'data-trigger-points', 'data-trigger-points is ignored because data-trigger-ranges is set.');
+    }
+    
+    // Advancement
+    const hasRanges = pointsAttr !== null || rangesAttr !== null;
+    const advancement = attr('data-advancement') || (hasRanges ? 'aligned' : 'advance');
+    if (!ADVANCEMENT_BEHAVIORS.includes(advancement)) {
+      add('error', 'data-advancement', `Unknown advancement behavior "${advancement}". Use ${ADVANCEMENT_BEHAVIORS.join(', ')}.`);
+    }
+    if (advancement === 'aligned' && rangeCount > 0 && states.length > 0) {
+      const neededStates = rangeCount === 1 ? 2 : rangeCount;
+      if (states.length > neededStates) {
+        add('warn', 'data-states', `"aligned" uses ${neededStates} state(s) for ${rangeCount} range(s); the extra state(s) ${states.slice(neededStates).map(state => `"${state}"`).join(', ')} are ignored.`);
+      } else if (states.length < neededStates) {
+        add('error', 'data-states', `"aligned" needs ${neededStates} state(s) for ${rangeCount} range(s) but only ${states.length} are defined.`);
+      }
+    }
+    if (advancement === 'aligned' && !hasRanges) {
+      add('warn', 'data-advancement', '"aligned" only reacts to scroll ranges, but no data-trigger-points or data-trigger-ranges are set.');
+    }
+    
+    // Triggers
+    ['data-trigger-click', 'data-trigger-hover', 'data-trigger-focus', 'data-trigger-cascade'].forEach(name => {
+      validateSelectorList(name, attr(name), add);
+    });
+    const hasTrigger = hasRanges || ['data-trigger-click', 'data-trigger-hover', 'data-trigger-focus',
+      'data-trigger-cascade', 'data-trigger-time', 'data-trigger-key'].some(name => attr(name) !== null);
+    if (!hasTrigger) {
+      add('warn', 'class', 'No triggers configured, so the state never changes on its own.');
+    }
+    if ((attr('data-cascade-on') !== null || attr('data-cascade-map') !== null) && attr('data-trigger-cascade') === null) {
+      add('warn', attr('data-cascade-map') !== null ? 'data-cascade-map' : 'data-cascade-on', 'Cascade rules have no effect without data-trigger-cascade.');
+    }
+    if (attr('data-cascade-map') !== null) {
+      attr('data-cascade-map').split(',').map(s => s.trim()).filter(Boolean).forEach(pair => {
+        const [source, target] = pair.split(':').map(s => s.trim());
+        if (!source || !target) {
+          add('error', 'data-cascade-map', `Invalid entry "${pair}". Use "sourceState:targetState".`);
+        } else if (states.length > 0 && !states.includes(target)) {
+          add('error', 'data-cascade-map', `Mapped state "${target}" is not in data-states.`);
+        }
+      });
+    }
+    if (attr('data-trigger-time') !== null) {
+      const problem = validateTimeTrigger(attr('data-trigger-time'));
+      if (problem) add('error', 'data-trigger-time', problem);
+    }
+    if (attr('data-delay') !== null && parseTimeValue(attr('data-delay'), true) === null) {
+      add('error', 'data-delay', `Invalid delay "${attr('data-delay')}". Use minutes (m), seconds (s) or milliseconds (ms).`);
+    }
+    const timePause = attr('data-time-pause');
+    if (timePause !== null) {
+      timePause.split(',').map(s => s.trim().toLowerCase()).filter(s => s !== '')
+        .filter(option => !['hidden', 'offscreen', 'none'].includes(option))
+        .forEach(option => add('error', 'data-time-pause', `Unknown time pause option "${option}". Use hidden, offscreen or none.`));
+    }
+    const delayPolicy = attr('data-delay-policy');
+    if (delayPolicy !== null && !['queue', 'latest'].includes(delayPolicy.trim().toLowerCase())) {
+      add('error', 'data-delay-policy', `Unknown delay policy "${delayPolicy}". Use queue or latest.`);
+    }
+    const lock = attr('data-lock');
+    if (lock !== null) {
+      const [kind, policy] = lock.split(':').map(s => s.trim().toLowerCase());
+      if (kind !== 'transition' && parseTimeValue(kind, true) === null) {
+        add('error', 'data-lock', `Invalid lock "${lock}". Use "transition" or a time such as "500ms".`);
+      }
+      if (policy !== undefined && !['ignore', 'queue'].includes(policy)) {
+        add('error', 'data-lock', `Unknown lock policy "${policy}". Use ignore or queue.`);
+      }
+    }
+    const hoverEvents = (attr('data-hover-event') || '').split(',').map(s => s.trim()).filter(s => s !== '');
+    hoverEvents.filter(event => !['enter', 'leave', 'hold'].includes(event)).forEach(event => {
+      add('error', 'data-hover-event', `Unknown hover event "${event}". Use enter, leave or hold.`);
+    });
+    if (hoverEvents.includes('hold') && attr('data-trigger-time') === null) {
+      add('warn', 'data-hover-event', '"hold" needs a data-trigger-time to advance states while hovering.');
+    }
+    
+    // Other options
+    const activeSpace = attr('data-active-space');
+    if (activeSpace !== null && activeSpace !== 'full') {
+      const parts = splitOutsideParens(activeSpace, /,/).map(parsePosition);
+      if (parts.length !== 2 || parts.some(part => part === null)) {
+        add('error', 'data-active-space', `Invalid active space "${activeSpace}". Use two positions, e.g., "0,1" or "-200px,100vh", or "full".`);
+      }
+    }
+    const viewportAlign = attr('data-viewport-align');
+    if (viewportAlign !== null && parsePosition(viewportAlign.trim()
+      .replace(/^(top|left|middle|center|bottom|right)\b/i, '0').replace(/^(?=[+-])/, '0')) === null) {
+      add('error', 'data-viewport-align', `Unknown viewport alignment "${viewportAlign}". Use top, middle or bottom (left, center, right), an element fraction such as 0.3, and an optional offset such as "top+80px".`);
+    }
+    if (attr('data-scroll-container') !== null) {
+      validateSelectorList('data-scroll-container', attr('data-scroll-container'), add);
+    }
+    const groupMax = attr('data-group-max');
+    const groupMin = attr('data-group-min');
+    if ((groupMax !== null || groupMin !== null) && attr('data-trigger-group') === null) {
+      add('warn', groupMax !== null ? 'data-group-max' : 'data-group-min', 'Group options have no effect without data-trigger-group.');
+    }
+    if (groupMax !== null && !(parseInt(groupMax, 10) >= 1)) {
+      add('error', 'data-group-max', `Invalid group maximum "${groupMax}". Use a whole number of 1 or more.`);
+    }
+    if (groupMin !== null && !(parseInt(groupMin, 10) >= 0)) {
+      add('error', 'data-group-min', `Invalid group minimum "${groupMin}". Use a whole number of 0 or more.`);
+    } else if (groupMin !== null && parseInt(groupMin, 10) > (parseInt(groupMax, 10) || 1)) {
+      add('error', 'data-group-min', `data-group-min (${groupMin}) is larger than data-group-max (${groupMax || 1}).`);
+    }
+    const scrollEasing = attr('data-scroll-easing');
+    if (scrollEasing !== null && parseScrollEasing(scrollEasing) === null) {
+      add('error', 'data-scroll-easing', `Invalid easing "${scrollEasing}". Use linear, ease, ease-in, ease-out, ease-in-out, cubic-bezier(x1, y1, x2, y2) or steps(n).`);
+    }
+    const scrollPrecision = attr('data-scroll-precision');
+    if (scrollPrecision !== null && !/^\s*[0-6]\s*$/.test(scrollPrecision)) {
+      add('error', 'data-scroll-precision', `Invalid precision "${scrollPrecision}". Use a whole number of decimal places from 0 to 6.`);
+    }
+    const scrollKeyframes = attr('data-scroll-keyframes');
+    if (scrollKeyframes !== null && parseScrollKeyframes(scrollKeyframes) === null) {
+      add('error', 'data-scroll-keyframes', 'Invalid keyframes. Use JSON keyframes or "property: value value; property: value value".');
+    } else if (scrollKeyframes !== null && !hasRanges) {
+      add('warn', 'data-scroll-keyframes', 'data-scroll-keyframes only applies to scroll triggers (data-trigger-points or data-trigger-ranges).');
+    }
+    const keyframesProgress = attr('data-scroll-keyframes-progress');
+    if (keyframesProgress !== null && !['range', 'total'].includes(keyframesProgress.trim().toLowerCase())) {
+      add('error', 'data-scroll-keyframes-progress', `Unknown keyframes progress "${keyframesProgress}". Use range or total.`);
+    }
+    if ((scrollEasing !== null || scrollPrecision !== null) && attr('data-scroll-animate') !== 'true' && scrollKeyframes === null) {
+      add('warn', scrollEasing !== null ? 'data-scroll-easing' : 'data-scroll-precision', 'Scroll progress options have no effect without data-scroll-animate="true".');
+    }
+    
+    // Responsive configuration
+    const mediaRules = ResponsiveConfig.parseMediaMap(element.getAttribute('data-media'));
+    if (mediaRules === null) {
+      add('error', 'data-media', 'Invalid data-media. Use a JSON object such as {"(max-width: 767px)": {"trigger-points": "0.2,0.8"}}.');
+    } else {
+      mediaRules.filter(rule => /^[\w-]+$/.test(rule.media) && !['all', 'screen', 'print'].includes(rule.media))
+        .forEach(rule => add('warn', 'data-media', `Unknown breakpoint "${rule.media}". Use a name from AnimationTriggerSettings.breakpoints or a media query.`));
+    }
+    const breakpointNames = Object.keys(AnimationTriggerSettings.breakpoints || {}).map(name => name.toLowerCase());
+    Array.from(element.attributes).forEach(({ name }) => {
+      const match = name.match(/^data-.+--([\w-]+)$/);
+      if (match && !breakpointNames.includes(match[1])) {
+        add('warn', name, `Unknown breakpoint "${match[1]}". Add it to AnimationTriggerSettings.breakpoints or use data-media.`);
+      }
+    });
+    
+    const scrollDirection = attr('data-scroll-direction');
+    if (scrollDirection !== null && !['down', 'up', 'both', 'reversible', 'right', 'left'].includes(scrollDirection.trim().toLowerCase())) {
+      add('error', 'data-scroll-direction', `Unknown scroll direction "${scrollDirection}". Use down, up, both or reversible.`);
+    } else if (scrollDirection !== null && !hasRanges) {
+      add('warn', 'data-scroll-direction', 'data-scroll-direction only applies to scroll triggers (data-trigger-points or data-trigger-ranges).');
+    }
+    
+    // Parent configuration
+    if (isParent) {
+      if (attr('data-child-target') === null) {
+        add('error', 'data-child-target', 'Parent element is missing data-child-target.');
+      } else {
+        const childScope = attr('data-child-scope');
+        if (childScope !== null && childScope.trim().toLowerCase() !== 'parent') {
+          add('error', 'data-child-scope', `Unknown child scope "${childScope}". Use "parent" or remove the attribute.`);
+        }
+        const scopeAll = childScope !== null && childScope.trim().toLowerCase() === 'parent';
+        validateSelectorList('data-child-target', attr('data-child-target'), add, element, scopeAll);
+      }
+      if (attr('data-stagger') !== null && parseTimeValue(attr('data-stagger').trim(), true) === null) {
+        add('error', 'data-stagger', `Invalid stagger "${attr('data-stagger')}". Use minutes (m), seconds (s) or milliseconds (ms).`);
+      }
+      const staggerOrder = attr('data-stagger-order');
+      if (staggerOrder !== null && !['dom', 'reverse', 'from-center', 'center', 'random'].includes(staggerOrder.trim().toLowerCase())) {
+        add('error', 'data-stagger-order', `Unknown stagger order "${staggerOrder}". Use dom, reverse, from-center or random.`);
+      }
+    }
+    
+    if (problems.length > 0) {
+      report.elements.push({ element, problems });
+      problems.forEach(problem => {
+        if (problem.severity === 'error') {
+          report.errorCount++;
+        } else {
+          report.warningCount++;
+        }
+      });
+    }
+  });
+  
+  report.valid = report.errorCount === 0;
+  return report;
 }
 
 (function() {
   // Array to hold all AnimationTrigger instances
   const triggerInstances = [];
 
+  // Destroyed instances remove themselves, however destroy() was called
+  AnimationTrigger.onDestroy = instance => {
+    const index = triggerInstances.indexOf(instance);
+    if (index !== -1) triggerInstances.splice(index, 1);
+  };
+
+  /**
+   * Collects elements matching a selector within a root, including the root itself.
+   * @param {Document|HTMLElement} root - The subtree to search.
+   * @param {string} selector - CSS selector to match.
+   * @returns {Array<HTMLElement>} - Matching elements in document order.
+   */
+  function queryAllWithin(root, selector) {
+    const matches = Array.from(root.querySelectorAll(selector));
+    if (root.matches && root.matches(selector)) {
+      matches.unshift(root);
+    }
+    return matches;
+  }
+
   /**
    * Function to initialize all animation triggers.
+   * @param {Document|HTMLElement} [root=document] - Subtree to scan for triggers.
+   * @returns {AnimationTrigger[]} - The instances created by this call.
    */
-  function initializeAnimationTriggers() {
+  function initializeAnimationTriggers(root = document) {
+    const newInstances = [];
+
     // Handle parent elements first to apply configurations to target elements
-    const parentTriggers = document.querySelectorAll('.animation-trigger-parent');
+    const parentTriggers = queryAllWithin(root, '.animation-trigger-parent');
 
     parentTriggers.forEach(parentElement => {
+      if (parentObserver) {
+        parentObserver.observe(parentElement, { attributes: true, attributeOldValue: true });
+      }
       const parentChildInstances = handleParentChildTriggers(parentElement);
-      triggerInstances.push(...parentChildInstances);
+      newInstances.push(...parentChildInstances);
 
       // Initialize the parent as an AnimationTrigger if it also has the 'animation-trigger' class
-      if (parentElement.classList.contains('animation-trigger')) {
+      if (parentElement.classList.contains('animation-trigger') && !parentElement._initialized) {
         const parentInstance = new AnimationTrigger(parentElement);
-        triggerInstances.push(parentInstance);
+        newInstances.push(parentInstance);
         // console.log(`Initialized parent '.animation-trigger':`, parentElement);
       }
     });
 
     // Initialize all direct animation triggers excluding those handled by parents
-    const directTriggers = document.querySelectorAll('.animation-trigger');
+    const directTriggers = queryAllWithin(root, '.animation-trigger');
 
     directTriggers.forEach(triggerElement => {
       const isHandledByParent = triggerElement.classList.contains('animation-trigger-parent');
 
-      // Skip initializing if the element is a parent and already initialized
-      if (!isHandledByParent) {
+      // Skip initializing if the element is a parent or already initialized
+      if (!isHandledByParent && !triggerElement._initialized) {
         const instance = new AnimationTrigger(triggerElement);
-        triggerInstances.push(instance);
+        newInstances.push(instance);
         // console.log(`Initialized direct '.animation-trigger':`, triggerElement);
       }
     });
 
-    return triggerInstances;
+    triggerInstances.push(...newInstances);
+    return newInstances;
   }
 
-  // Initialize animation triggers on DOMContentLoaded
-  document.addEventListener('DOMContentLoaded', () => {
-    const instances = initializeAnimationTriggers();
+  /**
+   * Destroys every instance whose element is the given node or lives inside it.
+   * @param {Node} root - The removed or replaced subtree.
+   * @returns {AnimationTrigger[]} - The destroyed instances.
+   */
+  function destroyAnimationTriggers(root) {
+    const removed = triggerInstances.filter(instance => root === instance.element || root.contains(instance.element));
+    removed.forEach(instance => instance.destroy());
+    return removed;
+  }
 
-    /**
-     * Handles scroll and resize events by updating states based on scroll position.
-     */
-    function handleScrollEvents() {
-      instances.forEach(trigger => {
-        if (typeof trigger.handleScroll === 'function') {
-          trigger.handleScroll();
-        } else {
-          // console.warn('handleScroll is not a function for trigger:', trigger.element);
+  /**
+   * Re-propagates a parent's configuration: destroys its children's instances, strips what
+   * they inherited and applies the parent's current attributes again. If the parent is
+   * itself an .animation-trigger, it is rebuilt too.
+   * @param {HTMLElement} parentElement - The parent element with 'animation-trigger-parent' class.
+   * @returns {AnimationTrigger[]} - The newly created instances.
+   */
+  function refreshParentChildTriggers(parentElement) {
+    const rebuilt = (parentElement._animationTriggerChildren || []).slice();
+    if (parentElement._animationTrigger) rebuilt.push(parentElement);
+    rebuilt.forEach(element => {
+      const instance = element._animationTrigger;
+      if (instance) instance.destroy();
+    });
+    releaseParentChildTriggers(parentElement);
+    return initializeAnimationTriggers(parentElement);
+  }
+
+  // ---------------------------
+  // Dynamic Content Observer
+  // ---------------------------
+
+  let mutationObserver = null;
+  let parentObserver = null; // Watches .animation-trigger-parent attributes while observing
+
+  /**
+   * Wires up triggers added to the DOM and tears down triggers removed from it.
+   * @param {MutationRecord[]} mutations - Records delivered by the MutationObserver.
+   */
+  function handleMutations(mutations) {
+    // Ignore the debug overlay redrawing itself
+    mutations = mutations.filter(mutation => !(mutation.target.closest && mutation.target.closest('[data-animation-trigger-debug]')));
+
+    // Tear down first so nodes that were moved (removed and re-added) are rebuilt cleanly
+    mutations.forEach(mutation => {
+      mutation.removedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+          destroyAnimationTriggers(node);
+        }
+      });
+    });
+
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+          const newInstances = initializeAnimationTriggers(node);
+          // Existing key triggers pick up inserted targets; new instances found theirs already
+          triggerInstances.forEach(instance => {
+            if (!newInstances.includes(instance)) instance.makeKeyTargetsFocusable(node);
+          });
         }
       });
+    });
+
+    // Trigger elements may have come or gone: look them up again and sync their ARIA attributes
+    if (mutations.length > 0) {
+      triggerInstances.forEach(instance => {
+        instance.triggerElements = null;
+        if (instance.ariaSyncTrigger.length > 0) instance.syncAria();
+      });
+    }
+  }
+
+  /**
+   * Re-propagates parents whose data attributes changed.
+   * @param {MutationRecord[]} mutations - Attribute records for .animation-trigger-parent elements.
+   */
+  function handleParentMutations(mutations) {
+    const changedParents = new Set();
+    mutations.forEach(mutation => {
+      const parentElement = mutation.target;
+      if (!parentElement.isConnected || !parentElement.classList.contains('animation-trigger-parent')) return;
+      // data-scroll-dir is written by the script itself
+      if (!mutation.attributeName.startsWith('data-') || mutation.attributeName === 'data-scroll-dir') return;
+      if (parentElement.getAttribute(mutation.attributeName) === mutation.oldValue) return;
+      changedParents.add(parentElement);
+    });
+    changedParents.forEach(refreshParentChildTriggers);
+  }
+
+  /**
+   * Starts or stops watching the document for dynamically inserted and removed triggers,
+   * and for attribute changes on .animation-trigger-parent elements.
+   * @param {boolean} enabled - `true` to observe, `false` to disconnect.
+   */
+  function observeMutations(enabled) {
+    if (enabled && !mutationObserver && typeof MutationObserver !== 'undefined') {
+      mutationObserver = new MutationObserver(handleMutations);
+      mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+      parentObserver = new MutationObserver(handleParentMutations);
+      document.querySelectorAll('.animation-trigger-parent').forEach(parentElement => {
+        parentObserver.observe(parentElement, { attributes: true, attributeOldValue: true });
+      });
+    } else if (!enabled && mutationObserver) {
+      mutationObserver.disconnect();
+      mutationObserver = null;
+      parentObserver.disconnect();
+      parentObserver = null;
+    }
+  }
+
+  // ---------------------------
+  // Public Runtime API
+  // ---------------------------
+
+  /**
+   * Resolves an element, selector or instance to its AnimationTrigger instance.
+   * @param {HTMLElement|string|AnimationTrigger} target - Element, CSS selector or instance.
+   * @returns {AnimationTrigger|null} - The matching instance, or null if none exists.
+   */
+  function resolveInstance(target) {
+    if (target instanceof AnimationTrigger) return target;
+    const element = typeof target === 'string' ? document.querySelector(target) : target;
+    const instance = element && element._animationTrigger;
+    if (!instance) {
+      logger.warn('No AnimationTrigger instance found for', target);
+      return null;
+    }
+    return instance;
+  }
+
+  /**
+   * Global API for controlling animation triggers from JavaScript.
+   * Every method accepts an element, a CSS selector or an AnimationTrigger instance.
+   */
+  window.AnimationTriggers = {
+    /**
+     * Returns the AnimationTrigger instance for an element.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @returns {AnimationTrigger|null}
+     */
+    get(target) {
+      return resolveInstance(target);
+    },
+
+    /**
+     * Returns all initialized AnimationTrigger instances.
+     * @returns {AnimationTrigger[]}
+     */
+    all() {
+      return triggerInstances.slice();
+    },
+
+    /**
+     * Jumps an element to a specific state.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @param {string|number} state - State class name or index into data-states.
+     * @returns {AnimationTrigger|null}
+     */
+    setState(target, state) {
+      const instance = resolveInstance(target);
+      if (instance) instance.setState(state);
+      return instance;
+    },
+
+    /**
+     * Advances an element to its next state.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @returns {AnimationTrigger|null}
+     */
+    next(target) {
+      const instance = resolveInstance(target);
+      if (instance) instance.advanceState();
+      return instance;
+    },
+
+    /**
+     * Steps an element back to its previous state.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @returns {AnimationTrigger|null}
+     */
+    previous(target) {
+      const instance = resolveInstance(target);
+      if (instance) instance.retreatState();
+      return instance;
+    },
+
+    /**
+     * Toggles an element between its initial state and the next state.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @returns {AnimationTrigger|null}
+     */
+    toggle(target) {
+      const instance = resolveInstance(target);
+      if (instance) instance.toggleState();
+      return instance;
+    },
+
+    /**
+     * Resets an element to its initial state.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @returns {AnimationTrigger|null}
+     */
+    reset(target) {
+      const instance = resolveInstance(target);
+      if (instance) instance.resetToInitialState();
+      return instance;
+    },
+
+    /**
+     * Fires an element's trigger as if one of its configured triggers had occurred,
+     * honoring data-delay, data-active-space and data-advancement.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @returns {AnimationTrigger|null}
+     */
+    trigger(target) {
+      const instance = resolveInstance(target);
+      if (instance) instance.handleTrigger();
+      return instance;
+    },
+
+    /**
+     * Pauses an element's time triggers until resumeTime() is called.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @returns {AnimationTrigger|null}
+     */
+    pauseTime(target) {
+      const instance = resolveInstance(target);
+      if (instance) instance.pauseTime();
+      return instance;
+    },
+
+    /**
+     * Resumes an element's time triggers with the time that was left.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @returns {AnimationTrigger|null}
+     */
+    resumeTime(target) {
+      const instance = resolveInstance(target);
+      if (instance) instance.resumeTime();
+      return instance;
+    },
+
+    /**
+     * Cancels an element's triggers that are still waiting for their data-delay
+     * or for a data-lock to end.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @returns {AnimationTrigger|null}
+     */
+    cancel(target) {
+      const instance = resolveInstance(target);
+      if (instance) instance.cancelPendingTriggers();
+      return instance;
+    },
+
+    /**
+     * Initializes any triggers inside a subtree that are not wired yet.
+     * @param {HTMLElement} [root=document] - Subtree to scan.
+     * @returns {AnimationTrigger[]} - The newly created instances.
+     */
+    init(root = document) {
+      return initializeAnimationTriggers(root);
+    },
+
+    /**
+     * Applies a parent's current attributes to its data-child-target children again,
+     * e.g. after changing its data-states or data-child-target from JavaScript.
+     * Happens automatically while observe() is on.
+     * @param {HTMLElement|string} target - The .animation-trigger-parent element or a CSS selector.
+     * @returns {AnimationTrigger[]} - The newly created instances.
+     */
+    refresh(target) {
+      const element = typeof target === 'string' ? document.querySelector(target) : target;
+      if (!element || !element.classList.contains('animation-trigger-parent')) {
+        logger.warn('refresh() expects an .animation-trigger-parent element, got', target);
+        return [];
+      }
+      return refreshParentChildTriggers(element);
+    },
+
+    /**
+     * Destroys every trigger instance on or inside an element.
+     * @param {HTMLElement|string} target - Element or CSS selector.
+     * @returns {AnimationTrigger[]} - The destroyed instances.
+     */
+    destroy(target) {
+      const element = typeof target === 'string' ? document.querySelector(target) : target;
+      return element ? destroyAnimationTriggers(element) : [];
+    },
+
+    /**
+     * Destroys every trigger instance on the page, e.g. before rebuilding it.
+     * Call init() afterwards to set the page up again.
+     * @returns {AnimationTrigger[]} - The destroyed instances.
+     */
+    destroyAll() {
+      const removed = triggerInstances.slice();
+      removed.forEach(instance => instance.destroy());
+      // Strip what parents copied to their children, so init() propagates them afresh
+      document.querySelectorAll('.animation-trigger-parent').forEach(releaseParentChildTriggers);
+      return removed;
+    },
+
+    /**
+     * Validates the configuration of every trigger inside a root element and
+     * returns a structured report. Nothing on the page is changed.
+     * @param {HTMLElement} [root=document] - Subtree to validate.
+     * @returns {Object} - See validateAnimationTriggers().
+     */
+    validate(root = document) {
+      return validateAnimationTriggers(root);
+    },
+
+    /**
+     * Shows or hides the visual debug overlay with range lines and state badges.
+     * Can also be enabled by adding ?at-debug to the page URL.
+     * @param {boolean} [enabled=true] - `true` to show, `false` to hide.
+     */
+    debug(enabled = true) {
+      if (enabled) {
+        DebugOverlay.enable(() => triggerInstances);
+      } else {
+        DebugOverlay.disable();
+      }
+    },
+
+    /**
+     * Sets how much the script logs to the console.
+     * @param {string} level - 'silent', 'error', 'warn' (default) or 'debug'.
+     */
+    setLogLevel(level) {
+      window.setAnimationTriggerLogLevel(level);
+    },
+
+    /**
+     * Enables or disables automatic initialization and teardown of triggers
+     * that are inserted into or removed from the document.
+     * @param {boolean} [enabled=true] - `true` to observe, `false` to stop.
+     */
+    observe(enabled = true) {
+      AnimationTriggerSettings.observeMutations = enabled;
+      if (document.readyState !== 'loading') {
+        observeMutations(enabled);
+      }
     }
+  };
 
-    // Attach scroll and resize listeners
-    window.addEventListener('scroll', handleScrollEvents);
-    window.addEventListener('resize', handleScrollEvents);
+  // Initialize animation triggers on DOMContentLoaded
+  document.addEventListener('DOMContentLoaded', () => {
+    // Scroll-based triggers join the shared ScrollScheduler as they initialize,
+    // which also sets their states based on the initial scroll position
+    initializeAnimationTriggers();
 
-    // Initial call to set states based on initial scroll position
-    handleScrollEvents();
+    // Watch for triggers inserted or removed after load
+    observeMutations(AnimationTriggerSettings.observeMutations);
+
+    // Show the debug overlay when the page is opened with ?at-debug
+    if (new URLSearchParams(window.location.search).has('at-debug')) {
+      DebugOverlay.enable(() => triggerInstances);
+    }
   });
 })();